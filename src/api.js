@@ -0,0 +1,215 @@
+import http from "http";
+import crypto from "crypto";
+import fs from "fs";
+import {
+  state,
+  dailyActivityConfig,
+  addLog,
+  getAccountName,
+  updateWalletData,
+  runDailyActivity,
+  stopActivity,
+  cancelScheduledActivity,
+  updateConfig
+} from "./core.js";
+import { getActiveRpcUrl } from "./rpc.js";
+import { registerSecrets, redactSecrets } from "./logger.js";
+
+export const API_TOKEN_FILE = "api-token.txt";
+
+const LOG_BACKLOG = 200;
+const HEARTBEAT_INTERVAL = 15000;
+const MAX_BODY_BYTES = 1024 * 1024;
+const REDACTED = "***";
+
+const recentLogs = [];
+const logClients = new Set();
+let server = null;
+let serverKey = null;
+let heartbeat = null;
+let isRequested = false;
+
+function resolveToken() {
+  if (dailyActivityConfig.api.token) return dailyActivityConfig.api.token;
+  if (fs.existsSync(API_TOKEN_FILE)) {
+    const saved = fs.readFileSync(API_TOKEN_FILE, "utf8").trim();
+    if (saved) return saved;
+  }
+  const token = crypto.randomBytes(24).toString("hex");
+  fs.writeFileSync(API_TOKEN_FILE, `${token}\n`, { mode: 0o600 });
+  addLog(`Generated a control API token in ${API_TOKEN_FILE}`, "info");
+  return token;
+}
+
+function isAuthorized(req, url, token) {
+  const header = req.headers.authorization || "";
+  const supplied = header.startsWith("Bearer ") ? header.slice(7).trim() : url.searchParams.get("token") || "";
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(supplied);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(redactSecrets(JSON.stringify(body)));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(new Error(`Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function isRedactedCopy(key, value) {
+  const text = JSON.stringify(value);
+  return text.includes(REDACTED) && text === redactSecrets(JSON.stringify(dailyActivityConfig[key]));
+}
+
+function getStatus() {
+  const isWaiting = state.isScheduled && state.dailyActivityInterval !== null;
+  return {
+    status: state.isActivityRunning ? (state.isDryRun ? "dry-run" : "running") : isWaiting ? "waiting" : "idle",
+    nextRunAt: isWaiting && state.nextRunAt ? new Date(state.nextRunAt).toISOString() : null,
+    activeProcesses: state.activeProcesses,
+    activeAccount: state.walletInfo.address || null,
+    rpc: getActiveRpcUrl(),
+    totalAccounts: state.privateKeys.length,
+    bridgeRepetitions: dailyActivityConfig.bridgeRepetitions,
+    stakeRepetitions: dailyActivityConfig.stakeRepetitions,
+    accounts: state.accountStatus.map((status, index) => ({ index, name: getAccountName(index), ...status }))
+  };
+}
+
+function formatLogEvent(entry) {
+  return `event: log\ndata: ${redactSecrets(JSON.stringify(entry))}\n\n`;
+}
+
+function streamLogs(req, res) {
+  res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  recentLogs.forEach(entry => res.write(formatLogEvent(entry)));
+  logClients.add(res);
+  req.on("close", () => logClients.delete(res));
+}
+
+const routes = {
+  "GET /status": () => [200, getStatus()],
+  "GET /wallets": async () => [200, await updateWalletData()],
+  "POST /cycle/start": () => {
+    if (state.isCycleRunning) return [409, { error: "Cycle is still running. Stop or cancel the current cycle first." }];
+    runDailyActivity();
+    return [202, { started: true }];
+  },
+  "POST /cycle/stop": () => {
+    if (!state.isActivityRunning) return [409, { error: "No activity is running." }];
+    stopActivity();
+    return [202, { stopping: true }];
+  },
+  "POST /schedule/cancel": () => {
+    if (!state.isScheduled || state.isActivityRunning) return [409, { error: "No scheduled activity to cancel." }];
+    return [200, { cancelled: cancelScheduledActivity() }];
+  },
+  "GET /config": () => [200, dailyActivityConfig],
+  "PATCH /config": (body) => {
+    if (!body || typeof body !== "object" || Array.isArray(body)) return [400, { error: "Body must be a JSON object of config keys" }];
+    const changes = Object.fromEntries(Object.entries(body).filter(([key, value]) => !isRedactedCopy(key, value)));
+    const redacted = Object.keys(changes).find(key => JSON.stringify(changes[key]).includes(REDACTED));
+    if (redacted) return [400, { error: `${redacted} contains redacted values, send the full value or leave the key out` }];
+    try {
+      return [200, updateConfig(changes)];
+    } catch (error) {
+      return [400, { error: error.message }];
+    }
+  }
+};
+
+async function handleRequest(req, res, token) {
+  const url = new URL(req.url, "http://localhost");
+  if (!isAuthorized(req, url, token)) {
+    sendJson(res, 401, { error: "Missing or invalid token" });
+    return;
+  }
+  if (req.method === "GET" && url.pathname === "/logs") {
+    streamLogs(req, res);
+    return;
+  }
+  const route = routes[`${req.method} ${url.pathname}`];
+  if (!route) {
+    sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+    return;
+  }
+  try {
+    const body = ["POST", "PATCH"].includes(req.method) ? await readBody(req) : null;
+    const [status, payload] = await route(body);
+    sendJson(res, status, payload);
+  } catch (error) {
+    sendJson(res, 400, { error: error.message });
+  }
+}
+
+function stopApiServer() {
+  if (!server) return;
+  logClients.forEach(client => client.end());
+  logClients.clear();
+  clearInterval(heartbeat);
+  server.close();
+  server = null;
+  serverKey = null;
+}
+
+function syncApiServer() {
+  const { enabled, host, port, token } = dailyActivityConfig.api;
+  const key = enabled ? `${host}:${port}:${token}` : null;
+  if (key === serverKey) return;
+  stopApiServer();
+  if (!enabled) return;
+  let apiToken;
+  try {
+    apiToken = resolveToken();
+  } catch (error) {
+    addLog(`Control API disabled: ${error.message}`, "error");
+    return;
+  }
+  registerSecrets([apiToken]);
+  serverKey = key;
+  server = http.createServer((req, res) => handleRequest(req, res, apiToken));
+  server.on("error", (error) => {
+    addLog(`Control API failed on ${host}:${port}: ${error.message}`, "error");
+    stopApiServer();
+  });
+  server.listen(port, host, () => {
+    addLog(`Control API listening on http://${host}:${port}/`, "success");
+  });
+  heartbeat = setInterval(() => logClients.forEach(client => client.write(": ping\n\n")), HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+}
+
+export function startApi() {
+  isRequested = true;
+  syncApiServer();
+}
+
+export function attachApi(engine) {
+  engine.on("log", (entry) => {
+    recentLogs.push(entry);
+    if (recentLogs.length > LOG_BACKLOG) recentLogs.shift();
+    logClients.forEach(client => client.write(formatLogEvent(entry)));
+  });
+  engine.on("configChanged", () => {
+    if (isRequested) syncApiServer();
+  });
+}
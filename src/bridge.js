@@ -0,0 +1,61 @@
+import { ethers } from "ethers";
+
+export const BRIDGE_STRATEGIES = ["round-robin", "weighted", "fixed"];
+
+export const defaultBridgeDestinations = [
+  { chainId: 11155111, name: "Sepolia", fee: 0.5, weight: 1, enabled: true },
+  { chainId: 97, name: "BSC Testnet", fee: 0.5, weight: 1, enabled: true }
+];
+
+const bridgeRouterAbi = [
+  "function sendToChain(uint64 chainId, string receiver, address asset, uint256 amount, uint256 fee)"
+];
+export const bridgeRouterInterface = new ethers.Interface(bridgeRouterAbi);
+
+export function checkSelectors(contractInterface, selectors) {
+  for (const [name, selector] of Object.entries(selectors)) {
+    const actual = contractInterface.getFunction(name).selector;
+    if (actual !== selector) throw new Error(`${name} selector is ${actual}, expected ${selector}`);
+  }
+}
+
+checkSelectors(bridgeRouterInterface, { sendToChain: "0x7ae4a8ff" });
+
+export function encodeBridgeCalldata({ chainId, receiver, asset, amountWei, feeWei }) {
+  return bridgeRouterInterface.encodeFunctionData("sendToChain", [chainId, receiver.toLowerCase(), asset, amountWei, feeWei]);
+}
+
+export function normalizeDestination(destination) {
+  const chainId = Number(destination.chainId);
+  if (!Number.isInteger(chainId) || chainId <= 0) throw new Error(`Invalid bridge destination chainId: ${destination.chainId}`);
+  return {
+    chainId,
+    name: destination.name || `Chain ${chainId}`,
+    fee: Number(destination.fee) >= 0 ? Number(destination.fee) : 0.5,
+    weight: Number(destination.weight) > 0 ? Number(destination.weight) : 1,
+    enabled: destination.enabled !== false
+  };
+}
+
+export function createDestinationSelector(config) {
+  const destinations = config.bridgeDestinations.filter(destination => destination.enabled);
+  switch (config.bridgeStrategy) {
+    case "fixed": {
+      const fixed = destinations.find(destination => destination.chainId === Number(config.bridgeFixedDestination));
+      return () => fixed || null;
+    }
+    case "weighted": {
+      const totalWeight = destinations.reduce((sum, destination) => sum + destination.weight, 0);
+      return () => {
+        let roll = Math.random() * totalWeight;
+        for (const destination of destinations) {
+          roll -= destination.weight;
+          if (roll < 0) return destination;
+        }
+        return destinations[destinations.length - 1] || null;
+      };
+    }
+    default:
+      return (bridgeCount) => destinations[bridgeCount % destinations.length] || null;
+  }
+}
@@ -0,0 +1,42 @@
+import fs from "fs";
+
+export const CHECKPOINT_FILE = "checkpoint.json";
+
+function serialize(key, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+export function readCheckpoint() {
+  if (!fs.existsSync(CHECKPOINT_FILE)) return null;
+  const checkpoint = JSON.parse(fs.readFileSync(CHECKPOINT_FILE, "utf8"));
+  if (!checkpoint.accounts || typeof checkpoint.accounts !== "object") return null;
+  const accounts = {};
+  for (const [address, progress] of Object.entries(checkpoint.accounts)) {
+    accounts[address] = {
+      bridgeCount: Number(progress.bridgeCount) || 0,
+      stakeCount: Number(progress.stakeCount) || 0,
+      done: progress.done === true
+    };
+  }
+  return {
+    ...checkpoint,
+    accounts,
+    pendingTxs: Array.isArray(checkpoint.pendingTxs) ? checkpoint.pendingTxs : []
+  };
+}
+
+export function writeCheckpoint(checkpoint) {
+  fs.writeFileSync(CHECKPOINT_FILE, JSON.stringify(checkpoint, serialize, 2));
+}
+
+export function clearCheckpoint() {
+  if (fs.existsSync(CHECKPOINT_FILE)) fs.unlinkSync(CHECKPOINT_FILE);
+}
+
+export function describeCheckpoint(checkpoint) {
+  const progress = Object.values(checkpoint.accounts);
+  const done = progress.filter(account => account.done).length;
+  const total = checkpoint.totalAccounts ? ` of ${checkpoint.totalAccounts}` : "";
+  const pending = checkpoint.pendingTxs.length > 0 ? `, ${checkpoint.pendingTxs.length} pending tx` : "";
+  return `${done}${total} accounts done, ${progress.length - done} in progress${pending}`;
+}
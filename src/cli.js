@@ -0,0 +1,389 @@
+import {
+  state,
+  dailyActivityConfig,
+  HELIOS_CHAIN_ID,
+  CONFIG_FILE,
+  engine,
+  formatTimestamp,
+  addLog,
+  loadConfig,
+  setConfigValue,
+  watchConfig,
+  loadPrivateKeys,
+  loadProxies,
+  checkProxies,
+  updateWalletData,
+  runDailyActivity,
+  runStakingAction,
+  findAccountIndex,
+  findValidator,
+  refreshValidators,
+  stopActivity,
+  cancelScheduledActivity,
+  resumeSchedule,
+  startRpcMonitoring,
+  resumeCycle,
+  getSavedCheckpoint,
+  discardCheckpoint,
+  formatDateTime,
+  getDryRunReport,
+  serveMockChain,
+  isHLSAmount
+} from "./core.js";
+import { CHECKPOINT_FILE, describeCheckpoint } from "./checkpoint.js";
+import { startApi } from "./api.js";
+import { probeRpcEndpoints } from "./rpc.js";
+import { redactCredentials } from "./proxy.js";
+import { formatConfigValue } from "./config.js";
+import { SCHEDULE_FILE, readScheduleFile } from "./scheduler.js";
+import {
+  PASSWORD_ENV,
+  PLAINTEXT_KEY_FILE,
+  MNEMONIC_FILE,
+  VAULT_FILE,
+  requiresPassword,
+  importPlaintextKeys,
+  exportPlaintextKeys
+} from "./keystore.js";
+import { LEDGER_FILE, readLedger, filterLedger, describeLedgerEntry } from "./ledger.js";
+import { redactSecrets } from "./logger.js";
+import { ethers } from "ethers";
+import fs from "fs";
+import readline from "readline";
+
+const usage = `Usage: node index.js [command] [options]
+
+Commands:
+  tui                      Start the interactive dashboard (default)
+  start                    Resume the saved schedule, or run the daily activity now and keep it scheduled
+  run-once                 Run a single daily activity cycle and exit
+  dry-run                  Simulate a daily activity cycle without broadcasting any transaction
+  balances                 Print balances, delegations and rewards of every account
+  status                   Print accounts, proxies and the active config
+  config show              Print the active config
+  config set <key> <value> Update one config value and save it to ${CONFIG_FILE}
+  undelegate <account> <validator> <amount>
+                           Undelegate HLS from a validator
+  redelegate <account> <from> <to> <amount>
+                           Move delegated HLS between validators
+  claim-rewards <account> [validator]
+                           Withdraw staking rewards from one or every validator
+  validators               List the validator set and which validators are eligible
+  history                  Browse the transaction ledger in ${LEDGER_FILE}
+  mock-chain               Serve the local mock Helios chain until interrupted
+  vault import             Encrypt ${PLAINTEXT_KEY_FILE} and ${MNEMONIC_FILE} into ${VAULT_FILE}
+  vault export             Decrypt ${VAULT_FILE} back into ${PLAINTEXT_KEY_FILE} and ${MNEMONIC_FILE}
+  help                     Show this message
+
+Options:
+  --json                   Print results as JSON
+  --file=<path>            Plaintext key file for vault import/export (default ${PLAINTEXT_KEY_FILE})
+  --force                  Let vault export overwrite an existing file
+  --resume                 start/run-once: continue the interrupted cycle saved in ${CHECKPOINT_FILE}
+  --fresh                  start/run-once: discard the interrupted cycle and start over
+  --account=<address>      history: only transactions from this account
+  --operation=<name>       history: approve, bridge, stake, undelegate, redelegate, claimRewards or cancel
+  --status=<status>        history: pending, confirmed, replaced, reverted or failed
+  --since=<date>           history: only transactions sent after this date
+  --until=<date>           history: only transactions sent before this date
+  --limit=<n>              history: only the last n transactions
+  --port=<n>               mock-chain: listen on this port instead of mockChain.port
+
+Set ${PASSWORD_ENV} to unlock ${VAULT_FILE} or keystore/ without a password prompt.`;
+
+engine.on("log", ({ message, type, timestamp }) => {
+  console.error(`[${formatTimestamp(timestamp)}] [${type}] ${message}`);
+});
+
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (const arg of argv) {
+    if (arg.startsWith("--")) {
+      const [name, value] = arg.slice(2).split("=");
+      flags[name] = value === undefined ? true : value;
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, flags };
+}
+
+function print(data, asJson, formatText) {
+  console.log(redactSecrets(asJson ? JSON.stringify(data, null, 2) : formatText(data)));
+}
+
+function promptPassword(question) {
+  return new Promise((resolve, reject) => {
+    if (!process.stdin.isTTY) {
+      reject(new Error(`No terminal available for the password prompt, set ${PASSWORD_ENV} instead`));
+      return;
+    }
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+    process.stderr.write(question);
+    rl._writeToOutput = () => {};
+    rl.question("", (answer) => {
+      rl.close();
+      process.stderr.write("\n");
+      resolve(answer);
+    });
+  });
+}
+
+function confirmResume(checkpoint) {
+  const description = describeCheckpoint(checkpoint);
+  if (!process.stdin.isTTY) {
+    addLog(`Found an interrupted cycle at ${description}. Pass --resume to continue it or --fresh to discard it.`, "info");
+    return Promise.resolve(false);
+  }
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    rl.question(`Resume the interrupted cycle at ${description}? [y/N] `, (answer) => {
+      rl.close();
+      resolve(answer.trim().toLowerCase().startsWith("y"));
+    });
+  });
+}
+
+async function resolvePassword({ confirm = false } = {}) {
+  if (process.env[PASSWORD_ENV]) return process.env[PASSWORD_ENV];
+  const password = await promptPassword("Vault password: ");
+  if (!password) throw new Error("Password cannot be empty");
+  if (confirm && await promptPassword("Confirm password: ") !== password) throw new Error("Passwords do not match");
+  return password;
+}
+
+async function loadAll() {
+  loadConfig();
+  try {
+    await loadPrivateKeys(requiresPassword() ? await resolvePassword() : undefined);
+  } catch (error) {
+    addLog(`Failed to load private keys: ${error.message}`, "error");
+  }
+  loadProxies();
+  await checkProxies();
+}
+
+function readNextRun() {
+  try {
+    const saved = readScheduleFile();
+    return saved ? saved.nextRunAt.toISOString() : null;
+  } catch (error) {
+    addLog(`Failed to read ${SCHEDULE_FILE}: ${error.message}`, "error");
+    return null;
+  }
+}
+
+async function runCycle(reschedule, flags) {
+  await loadAll();
+  startRpcMonitoring();
+  watchConfig();
+  if (reschedule) startApi();
+  if (state.privateKeys.length === 0) return 1;
+  let interrupted = false;
+  process.on("SIGINT", async () => {
+    if (interrupted) process.exit(130);
+    interrupted = true;
+    cancelScheduledActivity();
+    if (state.isActivityRunning) await stopActivity();
+    process.exit(130);
+  });
+  if (flags.fresh) discardCheckpoint();
+  const checkpoint = getSavedCheckpoint();
+  if (checkpoint && (flags.resume || await confirmResume(checkpoint))) {
+    await resumeCycle(checkpoint, { reschedule });
+    return 0;
+  }
+  if (!reschedule || !await resumeSchedule()) await runDailyActivity({ reschedule });
+  return 0;
+}
+
+export async function runCli(argv) {
+  const { positional, flags } = parseArgs(argv);
+  const [command, ...rest] = positional;
+  const asJson = Boolean(flags.json);
+
+  switch (command) {
+    case "start":
+      return runCycle(true, flags);
+    case "run-once":
+      return runCycle(false, flags);
+    case "dry-run": {
+      await loadAll();
+      if (state.privateKeys.length === 0) return 1;
+      await runDailyActivity({ dryRun: true });
+      const report = getDryRunReport();
+      print(report, asJson, (entries) => entries
+        .map(entry => [
+          `${entry.account}  ${entry.operation}`,
+          entry.amount ? `${entry.amount} HLS` : null,
+          entry.destination ? `to ${entry.destination}` : null,
+          entry.validator ? `validator ${entry.validator}` : null,
+          entry.error ? `${entry.expected ? "NEEDS APPROVAL" : "FAILS"}: ${entry.error}` : `gas ${entry.gasLimit}, max fee ${entry.maxFeeHLS} HLS`
+        ].filter(Boolean).join("  "))
+        .join("\n") || "No transactions planned.");
+      return report.some(entry => entry.error && !entry.expected) ? 1 : 0;
+    }
+    case "balances": {
+      await loadAll();
+      const walletData = await updateWalletData();
+      print(walletData, asJson, (rows) => rows
+        .map((row) => [
+          `${row.label || `Account ${row.index + 1}`}  ${row.address || "N/A"}  ${row.balanceHLS} HLS  token ${row.tokenHLS}  staked ${row.stakedHLS}  rewards ${row.rewardsHLS}${row.error ? `  (${row.error})` : ""}`,
+          ...row.delegations.map(delegation => `    ${delegation.name}  ${delegation.amountHLS} HLS  rewards ${delegation.rewardsHLS}`)
+        ].join("\n"))
+        .join("\n"));
+      return walletData.some((row) => row.error) ? 1 : 0;
+    }
+    case "status": {
+      await loadAll();
+      const status = {
+        chainId: HELIOS_CHAIN_ID,
+        rpcEndpoints: await probeRpcEndpoints(),
+        totalAccounts: state.privateKeys.length,
+        totalProxies: state.proxies.length,
+        proxies: state.proxies.map(proxy => ({ ...proxy, url: redactCredentials(proxy.url) })),
+        nextRunAt: readNextRun(),
+        config: { ...dailyActivityConfig }
+      };
+      print(status, asJson, (data) => [
+        `Chain ID: ${data.chainId}`,
+        ...data.rpcEndpoints.map(endpoint => `RPC: ${endpoint.url}${endpoint.active ? " (active)" : ""}  ${endpoint.healthy ? `healthy, block ${endpoint.blockNumber}, ${endpoint.latency} ms` : `unhealthy: ${endpoint.error}`}`),
+        `Total Accounts: ${data.totalAccounts}`,
+        `Total Proxies: ${data.totalProxies}`,
+        ...data.proxies.map(proxy => `Proxy: ${proxy.url}  ${proxy.healthy ? `healthy${proxy.latency !== null ? `, ${proxy.latency} ms` : ""}` : `unhealthy: ${proxy.error}`}`),
+        `Auto Bridge: ${data.config.bridgeRepetitions}x (${data.config.minHlsBridge} - ${data.config.maxHlsBridge} HLS)`,
+        `Auto Stake: ${data.config.stakeRepetitions}x (${data.config.minHlsStake} - ${data.config.maxHlsStake} HLS)`,
+        `Account Concurrency: ${data.config.accountConcurrency}`,
+        `Schedule: ${data.config.schedule || "every 24 hours"}${data.config.scheduleJitter ? ` (+${data.config.scheduleJitter}s jitter)` : ""}, missed runs: ${data.config.missedRunPolicy}`,
+        `Next Run: ${data.nextRunAt ? formatDateTime(new Date(data.nextRunAt)) : "not scheduled"}`
+      ].join("\n"));
+      return 0;
+    }
+    case "config": {
+      const [subcommand, key, value] = rest;
+      loadConfig();
+      if (subcommand === "show" || subcommand === undefined) {
+        print({ ...dailyActivityConfig }, asJson, (config) => Object.entries(config).map(([name, current]) => `${name} = ${typeof current === "object" && current !== null ? JSON.stringify(current) : current}`).join("\n"));
+        return 0;
+      }
+      if (subcommand === "set" && key !== undefined && value !== undefined) {
+        try {
+          const saved = setConfigValue(key, value);
+          print({ [key]: saved }, asJson, () => `${key} set to ${formatConfigValue(saved)}`);
+          return 0;
+        } catch (error) {
+          addLog(error.message, "error");
+          return 1;
+        }
+      }
+      console.error(usage);
+      return 1;
+    }
+    case "undelegate":
+    case "redelegate":
+    case "claim-rewards": {
+      const [accountRef, ...targets] = rest;
+      await loadAll();
+      await refreshValidators();
+      const usages = {
+        undelegate: "<account> <validator> <amount>",
+        redelegate: "<account> <from> <to> <amount>",
+        "claim-rewards": "<account> [validator]"
+      };
+      const validatorCount = { undelegate: 1, redelegate: 2, "claim-rewards": Math.min(targets.length, 1) }[command];
+      const amount = command === "claim-rewards" ? null : targets[validatorCount];
+      try {
+        if (!accountRef || (command !== "claim-rewards" && !isHLSAmount(amount))) throw new Error(`Usage: ${command} ${usages[command]}`);
+        const accountIndex = findAccountIndex(accountRef);
+        if (accountIndex === -1) throw new Error(`Unknown account "${accountRef}". Use a 1-based index, address or label.`);
+        const validators = targets.slice(0, validatorCount).map((reference) => {
+          const validator = findValidator(reference);
+          if (!validator) throw new Error(`Unknown validator "${reference}"`);
+          return validator;
+        });
+        await runStakingAction({
+          action: command === "claim-rewards" ? "claimRewards" : command,
+          accountIndex,
+          validator: validators[0] || null,
+          targetValidator: validators[1] || null,
+          amount
+        });
+        return 0;
+      } catch (error) {
+        addLog(error.message, "error");
+        return 1;
+      }
+    }
+    case "validators": {
+      loadConfig();
+      loadProxies();
+      await checkProxies();
+      const eligible = await refreshValidators();
+      const rows = state.discoveredValidators.map(validator => ({
+        ...validator,
+        tokens: validator.tokens === undefined ? null : ethers.formatUnits(validator.tokens, 18),
+        eligible: eligible.includes(validator)
+      }));
+      print({ source: state.validatorSource, validators: rows }, asJson, (data) => data.validators.map(validator => [
+        validator.eligible ? "*" : " ",
+        validator.name,
+        validator.address,
+        validator.commission === undefined ? "" : `${validator.commission.toFixed(2)}%`,
+        validator.tokens === null ? "" : `${validator.tokens} HLS`,
+        validator.jailed ? "jailed" : validator.active === false ? "inactive" : ""
+      ].filter(Boolean).join("  ")).join("\n") + `\n(* eligible, source: ${data.source})`);
+      return 0;
+    }
+    case "history": {
+      const entries = filterLedger(readLedger(), flags);
+      print(entries, asJson, (rows) => rows.length > 0 ? rows.map(describeLedgerEntry).join("\n") : "No transactions recorded.");
+      return 0;
+    }
+    case "mock-chain": {
+      loadConfig();
+      const port = flags.port === undefined ? undefined : Number(flags.port);
+      if (port !== undefined && !(Number.isInteger(port) && port > 0 && port <= 65535)) {
+        console.error("--port must be an integer between 1 and 65535");
+        return 1;
+      }
+      try {
+        const url = await serveMockChain(port);
+        print({ url, chainId: HELIOS_CHAIN_ID }, asJson, () => `Mock chain ${HELIOS_CHAIN_ID} listening on ${url}`);
+        return 0;
+      } catch (error) {
+        addLog(`Mock chain failed to start: ${error.message}`, "error");
+        return 1;
+      }
+    }
+    case "vault": {
+      const [subcommand] = rest;
+      const file = typeof flags.file === "string" ? flags.file : PLAINTEXT_KEY_FILE;
+      try {
+        if (subcommand === "import") {
+          const password = await resolvePassword({ confirm: !fs.existsSync(VAULT_FILE) });
+          const { added, total, mnemonics } = importPlaintextKeys(password, file);
+          print({ added, total, mnemonics, vault: VAULT_FILE }, asJson, () => `Imported ${added} new key(s) into ${VAULT_FILE} (${total} keys, ${mnemonics} mnemonics total). Delete ${file} and ${MNEMONIC_FILE} once the vault is verified.`);
+          return 0;
+        }
+        if (subcommand === "export") {
+          const exported = exportPlaintextKeys(await resolvePassword(), file, { overwrite: Boolean(flags.force) });
+          print({ ...exported, file }, asJson, () => `Exported ${exported.privateKeys} key(s) and ${exported.mnemonics} mnemonic(s) from ${VAULT_FILE}.`);
+          return 0;
+        }
+      } catch (error) {
+        addLog(`Vault ${subcommand} failed: ${error.message}`, "error");
+        return 1;
+      }
+      console.error(usage);
+      return 1;
+    }
+    case "help":
+    case undefined:
+      console.log(usage);
+      return 0;
+    default:
+      console.error(`Unknown command "${command}"\n\n${usage}`);
+      return 1;
+  }
+}
@@ -0,0 +1,336 @@
+import { ethers } from "ethers";
+import { BRIDGE_STRATEGIES, normalizeDestination } from "./bridge.js";
+import { normalizeHdAccount } from "./hdwallet.js";
+import { STUCK_TX_ACTIONS } from "./transactions.js";
+import { MISSED_RUN_POLICIES, parseSchedule } from "./scheduler.js";
+import { MOCK_CHAIN_DEFAULTS } from "./mockchain.js";
+import { LOG_LEVELS, LOGGING_DEFAULTS, checkTimezone, checkLocale } from "./logger.js";
+
+const positiveInteger = { type: "integer", min: 1 };
+const countInteger = { type: "integer", min: 0 };
+const positiveNumber = { type: "number", min: 0, exclusive: true };
+
+function normalizeValidator(validator) {
+  if (!validator || !ethers.isAddress(validator.address)) throw new Error(`invalid validator address ${validator && validator.address}`);
+  return { name: validator.name || validator.address, address: validator.address };
+}
+
+function normalizeRpcUrl(url) {
+  if (typeof url !== "string" || !/^https?:\/\//.test(url)) throw new Error(`invalid RPC URL ${url}`);
+  return url;
+}
+
+export const NOTIFICATION_EVENTS = ["cycleFinished", "accountFailed", "lowBalance", "rpcDown", "rpcRecovered", "txReverted"];
+export const WEBHOOK_FORMATS = ["generic", "telegram", "discord"];
+
+export const NOTIFICATION_DEFAULTS = {
+  webhooks: [],
+  batchSeconds: 30,
+  retries: 3,
+  lowBalanceHLS: 0
+};
+
+export const API_DEFAULTS = {
+  enabled: false,
+  host: "127.0.0.1",
+  port: 7420,
+  token: null
+};
+
+function detectWebhookFormat(url) {
+  if (/^https:\/\/api\.telegram\.org\//.test(url)) return "telegram";
+  if (/^https:\/\/(discord|discordapp)\.com\/api\/webhooks\//.test(url)) return "discord";
+  return "generic";
+}
+
+function normalizeWebhook(webhook) {
+  if (!webhook || typeof webhook.url !== "string" || !/^https?:\/\//.test(webhook.url)) throw new Error("webhook needs an http(s) url");
+  const format = webhook.format || detectWebhookFormat(webhook.url);
+  if (!WEBHOOK_FORMATS.includes(format)) throw new Error(`webhook format must be one of: ${WEBHOOK_FORMATS.join(", ")}`);
+  if (format === "telegram" && !webhook.chatId) throw new Error("telegram webhooks need a chatId");
+  const events = webhook.events || NOTIFICATION_EVENTS;
+  if (!Array.isArray(events) || events.some(event => !NOTIFICATION_EVENTS.includes(event))) {
+    throw new Error(`webhook events must be a list of: ${NOTIFICATION_EVENTS.join(", ")}`);
+  }
+  return { url: webhook.url, format, chatId: webhook.chatId || null, events };
+}
+
+function normalizeString(value) {
+  if (typeof value !== "string" || value.trim() === "") throw new Error(`invalid entry ${JSON.stringify(value)}`);
+  return value.trim();
+}
+
+export const configSchema = {
+  bridgeRepetitions: { label: "Bridge Repetitions", ...positiveInteger },
+  minHlsBridge: { label: "Min HLS Bridge", ...positiveNumber },
+  maxHlsBridge: { label: "Max HLS Bridge", ...positiveNumber },
+  bridgeDelay: { label: "Bridge Delay (ms)", ...positiveInteger },
+  bridgeRouterAddress: { label: "Bridge Router Address", type: "address" },
+  bridgeStrategy: { label: "Bridge Strategy", type: "enum", values: BRIDGE_STRATEGIES },
+  bridgeFixedDestination: { label: "Fixed Destination Chain", ...positiveInteger, nullable: true },
+  bridgeDestinations: { label: "Bridge Destinations", type: "list", item: normalizeDestination },
+  stakeRepetitions: { label: "Stake Repetitions", ...positiveInteger },
+  minHlsStake: { label: "Min HLS Stake", ...positiveNumber },
+  maxHlsStake: { label: "Max HLS Stake", ...positiveNumber },
+  stakeDelay: { label: "Stake Delay (ms)", ...positiveInteger },
+  undelegateRepetitions: { label: "Undelegate Repetitions", ...countInteger },
+  minHlsUndelegate: { label: "Min HLS Undelegate", ...positiveNumber },
+  maxHlsUndelegate: { label: "Max HLS Undelegate", ...positiveNumber },
+  redelegateRepetitions: { label: "Redelegate Repetitions", ...countInteger },
+  minHlsRedelegate: { label: "Min HLS Redelegate", ...positiveNumber },
+  maxHlsRedelegate: { label: "Max HLS Redelegate", ...positiveNumber },
+  claimRewards: { label: "Claim Rewards", type: "boolean" },
+  minRewardsClaim: { label: "Min Rewards To Claim", ...positiveNumber },
+  validatorDiscovery: { label: "Validator Discovery", type: "boolean" },
+  validators: { label: "Validators", type: "list", item: normalizeValidator },
+  validatorAllowList: { label: "Validator Allow List", type: "list", item: normalizeString },
+  validatorDenyList: { label: "Validator Deny List", type: "list", item: normalizeString },
+  minValidatorCommission: { label: "Min Commission (%)", type: "number", min: 0, max: 100, nullable: true },
+  maxValidatorCommission: { label: "Max Commission (%)", type: "number", min: 0, max: 100, nullable: true },
+  accountDelay: { label: "Account Delay (ms)", ...positiveInteger },
+  accountConcurrency: { label: "Account Concurrency", ...positiveInteger },
+  hdAccounts: { label: "HD Accounts", type: "list", item: normalizeHdAccount },
+  txTimeout: { label: "Tx Timeout (ms)", ...positiveInteger },
+  stuckTxAction: { label: "Stuck Tx Action", type: "enum", values: STUCK_TX_ACTIONS },
+  feeBumpPercent: { label: "Fee Bump (%)", type: "number", min: 10 },
+  maxTxReplacements: { label: "Max Tx Replacements", ...countInteger },
+  gasLimitBuffer: { label: "Gas Limit Buffer (%)", type: "number", min: 0 },
+  feeHistoryBlocks: { label: "Fee History Blocks", type: "integer", min: 1, max: 1024 },
+  priorityFeePercentile: { label: "Priority Fee Percentile", type: "number", min: 0, max: 100 },
+  maxTxFeeHLS: { label: "Max Tx Fee (HLS, 0 = off)", type: "number", min: 0 },
+  proxyCheck: { label: "Proxy Health Check", type: "boolean" },
+  rpcUrls: { label: "RPC URLs", type: "list", item: normalizeRpcUrl, nonEmpty: true },
+  rpcRetries: { label: "RPC Retries", ...countInteger },
+  rpcBackoff: { label: "RPC Backoff (ms)", ...positiveInteger },
+  rpcTimeout: { label: "RPC Timeout (ms)", ...positiveInteger },
+  rpcHealthInterval: { label: "RPC Health Interval (ms)", ...positiveInteger },
+  rpcMaxBlockLag: { label: "RPC Max Block Lag", ...countInteger },
+  schedule: { label: "Schedule (cron or HH:MM-HH:MM)", type: "schedule", nullable: true },
+  scheduleJitter: { label: "Schedule Jitter (s)", ...countInteger },
+  missedRunPolicy: { label: "Missed Run Policy", type: "enum", values: MISSED_RUN_POLICIES },
+  accountProfiles: { label: "Account Profiles", type: "profiles" },
+  mockChain: { label: "Local Mock Chain", type: "object", fields: {
+    enabled: { type: "boolean" },
+    port: { type: "integer", min: 1, max: 65535 },
+    balanceHLS: { type: "number", min: 0 },
+    tokenHLS: { type: "number", min: 0 },
+    revertRate: { type: "number", min: 0, max: 1 },
+    dropRate: { type: "number", min: 0, max: 1 },
+    rpcErrorRate: { type: "number", min: 0, max: 1 }
+  }, defaults: MOCK_CHAIN_DEFAULTS },
+  logging: { label: "Logging", type: "object", fields: {
+    level: { type: "enum", values: LOG_LEVELS },
+    fileLevel: { type: "enum", values: LOG_LEVELS },
+    file: { type: "text", nullable: true },
+    maxSizeMB: { type: "number", min: 0, exclusive: true },
+    maxFiles: { type: "integer", min: 1 },
+    timezone: { type: "text", check: checkTimezone },
+    locale: { type: "text", check: checkLocale }
+  }, defaults: LOGGING_DEFAULTS },
+  notifications: { label: "Notifications", type: "object", fields: {
+    webhooks: { type: "list", item: normalizeWebhook },
+    batchSeconds: { type: "integer", min: 0 },
+    retries: { type: "integer", min: 0 },
+    lowBalanceHLS: { type: "number", min: 0 }
+  }, defaults: NOTIFICATION_DEFAULTS },
+  api: { label: "Control API", type: "object", fields: {
+    enabled: { type: "boolean" },
+    host: { type: "text" },
+    port: { type: "integer", min: 1, max: 65535 },
+    token: { type: "text", nullable: true }
+  }, defaults: API_DEFAULTS }
+};
+
+export const profileSchema = {
+  enabled: { label: "Enabled", type: "boolean" },
+  ...Object.fromEntries([
+    "bridgeRepetitions",
+    "minHlsBridge",
+    "maxHlsBridge",
+    "bridgeDelay",
+    "bridgeStrategy",
+    "bridgeFixedDestination",
+    "stakeRepetitions",
+    "minHlsStake",
+    "maxHlsStake",
+    "stakeDelay",
+    "undelegateRepetitions",
+    "minHlsUndelegate",
+    "maxHlsUndelegate",
+    "redelegateRepetitions",
+    "minHlsRedelegate",
+    "maxHlsRedelegate",
+    "claimRewards",
+    "minRewardsClaim"
+  ].map(key => [key, key.endsWith("Repetitions") ? { ...configSchema[key], min: 0 } : configSchema[key]]))
+};
+
+export const rangePairs = [
+  ["minHlsBridge", "maxHlsBridge"],
+  ["minHlsStake", "maxHlsStake"],
+  ["minHlsUndelegate", "maxHlsUndelegate"],
+  ["minHlsRedelegate", "maxHlsRedelegate"],
+  ["minValidatorCommission", "maxValidatorCommission"]
+];
+
+function describeBounds({ type, min, max, exclusive }) {
+  const kind = type === "integer" ? "a whole number" : "a number";
+  if (min !== undefined && max !== undefined) return `${kind} between ${min} and ${max}`;
+  if (min !== undefined) return exclusive ? `${kind} greater than ${min}` : `${kind} of at least ${min}`;
+  return kind;
+}
+
+function validateNumber(field, value) {
+  const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  const valid = typeof number === "number" && Number.isFinite(number)
+    && (field.type !== "integer" || Number.isInteger(number))
+    && (field.min === undefined || (field.exclusive ? number > field.min : number >= field.min))
+    && (field.max === undefined || number <= field.max);
+  if (!valid) throw new Error(`must be ${describeBounds(field)}`);
+  return number;
+}
+
+function validateField(key, field, value) {
+  try {
+    if (value === null && field.nullable) return null;
+    switch (field.type) {
+      case "integer":
+      case "number":
+        return validateNumber(field, value);
+      case "boolean":
+        if (typeof value !== "boolean") throw new Error("must be true or false");
+        return value;
+      case "enum":
+        if (!field.values.includes(value)) throw new Error(`must be one of: ${field.values.join(", ")}`);
+        return value;
+      case "address":
+        if (!ethers.isAddress(value)) throw new Error("must be a valid address");
+        return value;
+      case "text":
+        if (typeof value !== "string" || value.trim() === "") throw new Error("must be non-empty text");
+        return field.check ? field.check(value.trim()) : value.trim();
+      case "schedule":
+        if (typeof value !== "string") throw new Error("must be a cron expression or HH:MM-HH:MM window");
+        return parseSchedule(value) ? value.trim() : null;
+      case "list": {
+        if (!Array.isArray(value)) throw new Error("must be a list");
+        if (field.nonEmpty && value.length === 0) throw new Error("must not be empty");
+        return value.map((item, index) => {
+          try {
+            return field.item(item);
+          } catch (error) {
+            throw new Error(`entry ${index + 1}: ${error.message}`);
+          }
+        });
+      }
+      case "object": {
+        if (!value || typeof value !== "object" || Array.isArray(value)) throw new Error("must be an object");
+        const normalized = { ...field.defaults };
+        for (const [name, entry] of Object.entries(value)) {
+          if (!field.fields[name]) throw new Error(`has no setting "${name}". Valid settings: ${Object.keys(field.fields).join(", ")}`);
+          normalized[name] = validateField(name, field.fields[name], entry);
+        }
+        return normalized;
+      }
+      case "profiles": {
+        if (!value || typeof value !== "object" || Array.isArray(value)) throw new Error("must be an object keyed by address or label");
+        return Object.fromEntries(Object.entries(value).map(([reference, profile]) => {
+          try {
+            return [reference, normalizeAccountProfile(profile)];
+          } catch (error) {
+            throw new Error(`"${reference}": ${error.message}`);
+          }
+        }));
+      }
+      default:
+        return value;
+    }
+  } catch (error) {
+    const nested = ["list", "profiles", "object"].includes(field.type);
+    throw new Error(`${key} ${error.message}${nested ? "" : `, got ${JSON.stringify(value)}`}`);
+  }
+}
+
+function normalizeAccountProfile(profile) {
+  if (!profile || typeof profile !== "object" || Array.isArray(profile)) throw new Error("profile must be an object");
+  const normalized = {};
+  for (const [key, value] of Object.entries(profile)) {
+    if (!profileSchema[key]) throw new Error(`unknown profile setting "${key}". Valid settings: ${Object.keys(profileSchema).join(", ")}`);
+    normalized[key] = validateField(key, profileSchema[key], value);
+  }
+  const [range] = checkConfigRanges(normalized);
+  if (range) throw new Error(`${range[0]} cannot be greater than ${range[1]}`);
+  return normalized;
+}
+
+export function validateConfigValue(key, value) {
+  const field = configSchema[key];
+  if (!field) throw new Error(`Unknown config key "${key}". Valid keys: ${Object.keys(configSchema).join(", ")}`);
+  return validateField(key, field, value);
+}
+
+function parseFieldInput(key, field, text) {
+  const value = String(text).trim();
+  if (field.nullable && ["", "off", "null"].includes(value)) return validateField(key, field, null);
+  switch (field.type) {
+    case "boolean":
+      return validateField(key, field, value === "true" ? true : value === "false" ? false : value);
+    case "list":
+    case "profiles":
+    case "object": {
+      let parsed;
+      try {
+        parsed = JSON.parse(value);
+      } catch (error) {
+        throw new Error(`${key} must be valid JSON: ${error.message}`);
+      }
+      return validateField(key, field, parsed);
+    }
+    default:
+      return validateField(key, field, value);
+  }
+}
+
+export function parseConfigInput(key, text) {
+  const field = configSchema[key];
+  if (!field) throw new Error(`Unknown config key "${key}". Valid keys: ${Object.keys(configSchema).join(", ")}`);
+  return parseFieldInput(key, field, text);
+}
+
+export function parseProfileInput(key, text) {
+  const field = profileSchema[key];
+  if (!field) throw new Error(`Unknown profile setting "${key}"`);
+  return String(text).trim() === "" ? undefined : parseFieldInput(key, field, text);
+}
+
+export function checkConfigRanges(config) {
+  return rangePairs.filter(([min, max]) => config[min] !== null && config[max] !== null && config[min] > config[max]);
+}
+
+export function validateConfig(raw, current) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("Config must be a JSON object");
+  const errors = [];
+  const values = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if (!configSchema[key]) {
+      errors.push(`Unknown config key "${key}" ignored`);
+      continue;
+    }
+    try {
+      values[key] = validateConfigValue(key, value);
+    } catch (error) {
+      errors.push(`${error.message}, keeping ${formatConfigValue(current[key])}`);
+    }
+  }
+  for (const [min, max] of checkConfigRanges({ ...current, ...values })) {
+    errors.push(`${min} cannot be greater than ${max}, keeping ${formatConfigValue(current[min])} - ${formatConfigValue(current[max])}`);
+    delete values[min];
+    delete values[max];
+  }
+  return { values, errors };
+}
+
+export function formatConfigValue(value) {
+  if (value === null || value === undefined) return "off";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
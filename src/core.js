@@ -0,0 +1,1574 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { EventEmitter } from "events";
+import { ethers } from "ethers";
+import fs from "fs";
+import { v4 as uuidv4 } from "uuid";
+import {
+  defaultBridgeDestinations,
+  encodeBridgeCalldata,
+  createDestinationSelector
+} from "./bridge.js";
+import { readPrivateKeys } from "./keystore.js";
+import { deriveHdAccounts } from "./hdwallet.js";
+import {
+  encodeDelegate,
+  encodeUndelegate,
+  encodeRedelegate,
+  encodeWithdrawRewards,
+  getDelegatedAmount,
+  getPendingRewards,
+  getTotalRewards
+} from "./staking.js";
+import { defaultValidators, fetchValidators, applyValidatorRules, toValidatorAddress } from "./validators.js";
+import {
+  SCHEDULE_FILE,
+  parseSchedule,
+  computeNextRun,
+  readScheduleFile,
+  writeScheduleFile,
+  clearScheduleFile,
+  setLongTimeout,
+  clearLongTimeout
+} from "./scheduler.js";
+import {
+  reserveNonce,
+  resyncNonce,
+  bumpFees,
+  buildReplacement,
+  applyGasBuffer,
+  suggestFees,
+  maxTransactionCost
+} from "./transactions.js";
+import {
+  rpcEvents,
+  configureRpc,
+  withFailover,
+  postJsonRpc,
+  createFailoverFetch,
+  getActiveRpcUrl,
+  startRpcHealthChecks
+} from "./rpc.js";
+import { PROXY_FILE, parseProxy, redactCredentials, createAgent, selectProxy } from "./proxy.js";
+import { API_DEFAULTS, NOTIFICATION_DEFAULTS, configSchema, validateConfig, validateConfigValue, parseConfigInput, parseProfileInput, checkConfigRanges } from "./config.js";
+import { MOCK_CHAIN_DEFAULTS, createMockChain } from "./mockchain.js";
+import { LOGGING_DEFAULTS, configureLogging, registerSecrets, redactSecrets, shouldLog, writeLogEntry, formatLogTime, formatLogDateTime } from "./logger.js";
+import { CHECKPOINT_FILE, readCheckpoint, writeCheckpoint, clearCheckpoint, describeCheckpoint } from "./checkpoint.js";
+
+export const HELIOS_RPC_URL = "https://testnet1.helioschainlabs.org/";
+export const HELIOS_CHAIN_ID = 42000;
+export const HELIOS_ROUTER_ADDRESS = "0x0000000000000000000000000000000000000900";
+export const STAKE_ROUTER_ADDRESS = "0x0000000000000000000000000000000000000800";
+export const DISTRIBUTION_ADDRESS = "0x0000000000000000000000000000000000000801";
+export const HLS_TOKEN_ADDRESS = "0xD4949664cD82660AaE99bEdc034a0deA8A0bd517";
+export const CONFIG_FILE = "config.json";
+
+const tokenAbi = [
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address,address) view returns (uint256)",
+  "function approve(address,uint256) returns (bool)"
+];
+
+export const state = {
+  walletInfo: {
+    address: "N/A",
+    balanceHLS: "0.0000",
+    activeAccount: "N/A"
+  },
+  isActivityRunning: false,
+  isScheduled: false,
+  isCycleRunning: false,
+  isDryRun: false,
+  shouldStop: false,
+  dailyActivityInterval: null,
+  nextRunAt: null,
+  privateKeys: [],
+  accountLabels: [],
+  proxies: [],
+  validators: defaultValidators.map(validator => ({ ...validator })),
+  discoveredValidators: [],
+  validatorSource: "config",
+  selectedWalletIndex: 0,
+  hasLoggedSleepInterrupt: false,
+  activeProcesses: 0,
+  accountStatus: []
+};
+let cycleCheckpoint = null;
+let dryRunReport = [];
+const logContext = new AsyncLocalStorage();
+
+
+export const dailyActivityConfig = {
+  bridgeRepetitions: 1,
+  minHlsBridge: 0.01,
+  maxHlsBridge: 0.04,
+  stakeRepetitions: 1,
+  minHlsStake: 0.01,
+  maxHlsStake: 0.03,
+  bridgeDelay: 30000,
+  stakeDelay: 10000,
+  accountDelay: 10000,
+  accountConcurrency: 1,
+  txTimeout: 180000,
+  stuckTxAction: "speed-up",
+  feeBumpPercent: 20,
+  maxTxReplacements: 2,
+  gasLimitBuffer: 20,
+  feeHistoryBlocks: 10,
+  priorityFeePercentile: 50,
+  maxTxFeeHLS: 0,
+  proxyCheck: true,
+  rpcUrls: [HELIOS_RPC_URL],
+  rpcRetries: 3,
+  rpcBackoff: 500,
+  rpcTimeout: 15000,
+  rpcHealthInterval: 60000,
+  rpcMaxBlockLag: 10,
+  bridgeRouterAddress: HELIOS_ROUTER_ADDRESS,
+  bridgeStrategy: "round-robin",
+  bridgeFixedDestination: null,
+  bridgeDestinations: defaultBridgeDestinations.map(destination => ({ ...destination })),
+  hdAccounts: [],
+  claimRewards: false,
+  minRewardsClaim: 0.001,
+  undelegateRepetitions: 0,
+  minHlsUndelegate: 0.01,
+  maxHlsUndelegate: 0.02,
+  redelegateRepetitions: 0,
+  minHlsRedelegate: 0.01,
+  maxHlsRedelegate: 0.02,
+  validatorDiscovery: true,
+  validators: defaultValidators.map(validator => ({ ...validator })),
+  validatorAllowList: [],
+  validatorDenyList: [],
+  minValidatorCommission: null,
+  maxValidatorCommission: null,
+  schedule: null,
+  scheduleJitter: 0,
+  missedRunPolicy: "catch-up",
+  accountProfiles: {},
+  mockChain: { ...MOCK_CHAIN_DEFAULTS },
+  logging: { ...LOGGING_DEFAULTS },
+  notifications: { ...NOTIFICATION_DEFAULTS },
+  api: { ...API_DEFAULTS }
+};
+
+const defaultConfig = structuredClone(dailyActivityConfig);
+let lastConfigText = null;
+let rpcMonitoring = false;
+let localChain = null;
+let logFileError = null;
+
+export const engine = new EventEmitter();
+
+rpcEvents.on("log", ({ message, type }) => addLog(message, type));
+rpcEvents.on("endpointChanged", () => engine.emit("stateChanged", state));
+rpcEvents.on("unavailable", (event) => engine.emit("rpcDown", event));
+rpcEvents.on("available", (event) => engine.emit("rpcRecovered", event));
+applyRpcConfig();
+
+export function formatTimestamp(date = new Date()) {
+  return formatLogTime(date);
+}
+
+export function formatDateTime(date) {
+  return formatLogDateTime(date);
+}
+
+export function addLog(message, type = "info") {
+  const { account, operation } = logContext.getStore() || {};
+  const entry = { message: redactSecrets(message), type, timestamp: new Date(), account, operation };
+  try {
+    writeLogEntry(entry);
+    logFileError = null;
+  } catch (error) {
+    if (logFileError !== error.message) {
+      logFileError = error.message;
+      engine.emit("log", { message: `Failed to write ${dailyActivityConfig.logging.file}: ${error.message}`, type: "error", timestamp: new Date() });
+    }
+  }
+  if (shouldLog(type)) engine.emit("log", entry);
+}
+
+function setLogOperation(operation) {
+  const context = logContext.getStore();
+  if (context) context.operation = operation;
+}
+
+export function loadConfig() {
+  try {
+    if (fs.existsSync(CONFIG_FILE)) {
+      const text = fs.readFileSync(CONFIG_FILE, "utf8");
+      applyConfig(JSON.parse(text));
+      lastConfigText = text;
+    } else {
+      addLog("No config file found, using default settings.", "info");
+    }
+  } catch (error) {
+    addLog(`Failed to load config: ${error.message}`, "error");
+  }
+  configureLogging(dailyActivityConfig.logging);
+  applyRpcConfig();
+}
+
+function applyValidatorSelection() {
+  const isChainSource = state.validatorSource === "chain" && dailyActivityConfig.validatorDiscovery;
+  state.validators = applyValidatorRules(isChainSource ? state.discoveredValidators : dailyActivityConfig.validators, dailyActivityConfig);
+}
+
+function applyConfig(config) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) throw new Error(`${CONFIG_FILE} must contain a JSON object`);
+  const base = structuredClone(defaultConfig);
+  for (const key of Object.keys(config)) {
+    if (Object.prototype.hasOwnProperty.call(dailyActivityConfig, key)) base[key] = dailyActivityConfig[key];
+  }
+  const { values, errors } = validateConfig(config, base);
+  for (const message of errors) addLog(`${CONFIG_FILE}: ${message}`, "error");
+  const previous = { ...dailyActivityConfig };
+  Object.assign(dailyActivityConfig, base, values);
+  applyValidatorSelection();
+  return Object.keys(configSchema).filter(key => JSON.stringify(previous[key]) !== JSON.stringify(dailyActivityConfig[key]));
+}
+
+function applyConfigChanges(changedKeys) {
+  if (changedKeys.includes("logging")) configureLogging(dailyActivityConfig.logging);
+  if (changedKeys.some(key => key.startsWith("rpc") || key === "mockChain")) {
+    applyRpcConfig();
+    if (rpcMonitoring) startRpcMonitoring();
+  }
+  if (changedKeys.some(key => ["schedule", "scheduleJitter"].includes(key)) && state.isScheduled && !state.isActivityRunning) {
+    const nextRunAt = scheduleNextRun();
+    addLog(`Schedule changed. Next cycle at ${formatDateTime(nextRunAt)}.`, "info");
+  }
+  engine.emit("configChanged", dailyActivityConfig);
+  engine.emit("stateChanged", state);
+}
+
+export function updateConfig(changes) {
+  const values = Object.fromEntries(Object.entries(changes).map(([key, value]) => [key, validateConfigValue(key, value)]));
+  const [range] = checkConfigRanges({ ...dailyActivityConfig, ...values });
+  if (range) throw new Error(`${range[0]} cannot be greater than ${range[1]}.`);
+  Object.assign(dailyActivityConfig, values);
+  if (Object.keys(values).some(key => key.startsWith("validator") || key.endsWith("ValidatorCommission"))) {
+    applyValidatorSelection();
+  }
+  saveConfig();
+  applyConfigChanges(Object.keys(values));
+  return values;
+}
+
+export function setConfigValue(key, input) {
+  return updateConfig({ [key]: parseConfigInput(key, input) })[key];
+}
+
+export function reloadConfig() {
+  let text;
+  try {
+    text = fs.readFileSync(CONFIG_FILE, "utf8");
+  } catch (error) {
+    addLog(`Failed to read ${CONFIG_FILE}: ${error.message}`, "error");
+    return;
+  }
+  if (text === lastConfigText) return;
+  try {
+    const changedKeys = applyConfig(JSON.parse(text));
+    lastConfigText = text;
+    if (changedKeys.length === 0) return;
+    addLog(`Reloaded ${CONFIG_FILE}: ${changedKeys.join(", ")} changed.`, "success");
+    applyConfigChanges(changedKeys);
+  } catch (error) {
+    addLog(`Ignoring ${CONFIG_FILE} change: ${error.message}`, "error");
+  }
+}
+
+export function watchConfig() {
+  fs.unwatchFile(CONFIG_FILE);
+  const watcher = fs.watchFile(CONFIG_FILE, { interval: 1000 }, (current) => {
+    if (current.mtimeMs > 0) reloadConfig();
+  });
+  watcher.unref();
+}
+
+function applyRpcConfig() {
+  if (dailyActivityConfig.rpcUrls.length === 0) {
+    addLog(`No valid rpcUrls in ${CONFIG_FILE}, using ${HELIOS_RPC_URL}`, "error");
+    dailyActivityConfig.rpcUrls = [HELIOS_RPC_URL];
+  }
+  const mockChain = dailyActivityConfig.mockChain;
+  if (!mockChain.enabled) stopLocalChain();
+  configureRpc({
+    urls: mockChain.enabled ? [ensureLocalChain()] : dailyActivityConfig.rpcUrls,
+    chainId: HELIOS_CHAIN_ID,
+    retries: dailyActivityConfig.rpcRetries,
+    backoff: dailyActivityConfig.rpcBackoff,
+    timeout: dailyActivityConfig.rpcTimeout,
+    maxBlockLag: dailyActivityConfig.rpcMaxBlockLag
+  });
+}
+
+function createLocalChain() {
+  return createMockChain({
+    ...dailyActivityConfig.mockChain,
+    chainId: HELIOS_CHAIN_ID,
+    tokenAddress: HLS_TOKEN_ADDRESS,
+    bridgeAddress: dailyActivityConfig.bridgeRouterAddress,
+    stakingAddress: STAKE_ROUTER_ADDRESS,
+    distributionAddress: DISTRIBUTION_ADDRESS,
+    validators: dailyActivityConfig.validators,
+    onLog: message => addLog(`Mock chain: ${message}`, "info")
+  });
+}
+
+function ensureLocalChain() {
+  const { port } = dailyActivityConfig.mockChain;
+  if (localChain && localChain.port === port) {
+    localChain.chain.configure(dailyActivityConfig.mockChain);
+    return localChain.url;
+  }
+  stopLocalChain();
+  const chain = createLocalChain();
+  chain.server.unref();
+  localChain = { port, chain, url: `http://127.0.0.1:${port}/` };
+  chain.listen(port)
+    .then(url => addLog(`Mock chain listening on ${url}`, "success"))
+    .catch(error => addLog(`Mock chain failed to start on port ${port}: ${error.message}`, "error"));
+  return localChain.url;
+}
+
+function stopLocalChain() {
+  if (!localChain) return Promise.resolve();
+  const { chain } = localChain;
+  localChain = null;
+  return chain.close();
+}
+
+export async function serveMockChain(port = dailyActivityConfig.mockChain.port) {
+  await stopLocalChain();
+  const chain = createLocalChain();
+  const url = await chain.listen(port);
+  localChain = { port, chain, url };
+  return url;
+}
+
+export function startRpcMonitoring() {
+  rpcMonitoring = true;
+  startRpcHealthChecks(dailyActivityConfig.rpcHealthInterval);
+}
+
+export function saveConfig() {
+  try {
+    const text = JSON.stringify(dailyActivityConfig, null, 2);
+    fs.writeFileSync(CONFIG_FILE, text);
+    lastConfigText = text;
+    addLog("Configuration saved successfully.", "success");
+  } catch (error) {
+    addLog(`Failed to save config: ${error.message}`, "error");
+  }
+}
+
+export function getShortAddress(address) {
+  return address ? address.slice(0, 6) + "..." + address.slice(-4) : "N/A";
+}
+
+export function getShortHash(hash) {
+  return hash.slice(0, 6) + "..." + hash.slice(-4);
+}
+
+export async function loadPrivateKeys(password) {
+  try {
+    const { source, privateKeys, mnemonics } = await readPrivateKeys(password);
+    registerSecrets([password, ...privateKeys, ...mnemonics]);
+    const accounts = privateKeys.map(privateKey => ({ privateKey, label: null }));
+    if (privateKeys.length > 0) addLog(`Loaded ${privateKeys.length} private keys from ${source}`, "success");
+    for (const definition of dailyActivityConfig.hdAccounts) {
+      const phrase = mnemonics[definition.mnemonic];
+      if (!phrase) {
+        addLog(`No mnemonic #${definition.mnemonic + 1} available for HD path ${definition.path}`, "error");
+        continue;
+      }
+      const derived = deriveHdAccounts(phrase, definition);
+      registerSecrets(derived.map(account => account.privateKey));
+      accounts.push(...derived);
+      addLog(`Derived ${derived.length} accounts from ${definition.path}`, "success");
+    }
+    const seen = new Set();
+    const uniqueAccounts = accounts.filter((account) => {
+      const address = new ethers.Wallet(account.privateKey).address;
+      if (seen.has(address)) return false;
+      seen.add(address);
+      return true;
+    });
+    state.privateKeys = uniqueAccounts.map(account => account.privateKey);
+    state.accountLabels = uniqueAccounts.map(account => account.label);
+    if (state.privateKeys.length === 0) throw new Error(`No valid private keys in ${source}`);
+  } catch (error) {
+    addLog(`Failed to load private keys: ${error.message}`, "error");
+    state.privateKeys = [];
+    state.accountLabels = [];
+  }
+}
+
+export function getAccountName(index) {
+  return state.accountLabels[index] || `Account ${index + 1}`;
+}
+
+function getAccountAddress(index) {
+  return new ethers.Wallet(state.privateKeys[index]).address;
+}
+
+function findProfileReference(accountIndex, address) {
+  const references = Object.keys(dailyActivityConfig.accountProfiles);
+  return references.find(reference => reference.toLowerCase() === address.toLowerCase())
+    || references.find(reference => reference === getAccountName(accountIndex))
+    || null;
+}
+
+export function getAccountConfig(accountIndex, address = getAccountAddress(accountIndex)) {
+  const profiles = dailyActivityConfig.accountProfiles;
+  const addressReference = Object.keys(profiles).find(reference => reference.toLowerCase() === address.toLowerCase());
+  return {
+    ...dailyActivityConfig,
+    enabled: true,
+    ...profiles[getAccountName(accountIndex)],
+    ...(addressReference ? profiles[addressReference] : {})
+  };
+}
+
+export function getAccountProfile(accountIndex) {
+  const reference = findProfileReference(accountIndex, getAccountAddress(accountIndex));
+  return reference ? { reference, profile: dailyActivityConfig.accountProfiles[reference] } : null;
+}
+
+export function setAccountProfileValue(accountIndex, key, input) {
+  const value = parseProfileInput(key, input);
+  const address = getAccountAddress(accountIndex);
+  const reference = findProfileReference(accountIndex, address) || address;
+  const profile = { ...dailyActivityConfig.accountProfiles[reference] };
+  if (value === undefined) {
+    delete profile[key];
+  } else {
+    profile[key] = value;
+  }
+  const profiles = { ...dailyActivityConfig.accountProfiles, [reference]: profile };
+  if (Object.keys(profile).length === 0) delete profiles[reference];
+  validateConfigValue("accountProfiles", profiles);
+  const previous = dailyActivityConfig.accountProfiles;
+  dailyActivityConfig.accountProfiles = profiles;
+  const [range] = checkConfigRanges(getAccountConfig(accountIndex, address));
+  if (range) {
+    dailyActivityConfig.accountProfiles = previous;
+    throw new Error(`${range[0]} cannot be greater than ${range[1]} for ${getAccountName(accountIndex)}.`);
+  }
+  saveConfig();
+  applyConfigChanges(["accountProfiles"]);
+  return value;
+}
+
+export function clearAccountProfile(accountIndex) {
+  const reference = findProfileReference(accountIndex, getAccountAddress(accountIndex));
+  if (!reference) return false;
+  const profiles = { ...dailyActivityConfig.accountProfiles };
+  delete profiles[reference];
+  dailyActivityConfig.accountProfiles = profiles;
+  saveConfig();
+  applyConfigChanges(["accountProfiles"]);
+  return true;
+}
+
+export function loadProxies() {
+  try {
+    if (fs.existsSync(PROXY_FILE)) {
+      const lines = fs.readFileSync(PROXY_FILE, "utf8").split("\n").map(proxy => proxy.trim());
+      state.proxies = [];
+      lines.forEach((line, index) => {
+        if (!line || line.startsWith("#")) return;
+        try {
+          state.proxies.push({ url: parseProxy(line), healthy: true, latency: null, error: null });
+        } catch (error) {
+          addLog(`Skipping ${PROXY_FILE} line ${index + 1}: ${error.message}`, "error");
+        }
+      });
+      if (state.proxies.length === 0) throw new Error(`No proxy found in ${PROXY_FILE}`);
+      addLog(`Loaded ${state.proxies.length} proxies from ${PROXY_FILE}`, "success");
+    } else {
+      addLog(`No ${PROXY_FILE} found, running without proxy.`, "info");
+    }
+  } catch (error) {
+    addLog(`Failed to load proxy: ${error.message}`, "info");
+    state.proxies = [];
+  }
+}
+
+async function checkProxy(proxy) {
+  const startedAt = Date.now();
+  try {
+    await withFailover(rpcUrl => postJsonRpc(rpcUrl, "eth_chainId", [], createAgent(proxy.url)), { retries: 0, markEndpoints: false });
+    proxy.healthy = true;
+    proxy.latency = Date.now() - startedAt;
+    proxy.error = null;
+  } catch (error) {
+    proxy.healthy = false;
+    proxy.latency = null;
+    proxy.error = redactCredentials(error.message);
+  }
+}
+
+export async function checkProxies() {
+  if (state.proxies.length === 0 || !dailyActivityConfig.proxyCheck) return state.proxies;
+  addLog(`Checking ${state.proxies.length} proxies...`, "wait");
+  await Promise.all(state.proxies.map(checkProxy));
+  const unhealthy = state.proxies.filter(proxy => !proxy.healthy);
+  for (const proxy of unhealthy) addLog(`Proxy ${proxy.url} is unhealthy: ${proxy.error}`, "error");
+  addLog(`${state.proxies.length - unhealthy.length} of ${state.proxies.length} proxies healthy.`, unhealthy.length === state.proxies.length ? "error" : "success");
+  return state.proxies;
+}
+
+function markProxyFailure(proxyUrl, error) {
+  const proxy = state.proxies.find(entry => entry.url === proxyUrl);
+  if (!proxy || !proxy.healthy || !dailyActivityConfig.proxyCheck) return;
+  proxy.healthy = false;
+  proxy.latency = null;
+  proxy.error = redactCredentials(error.message);
+  addLog(`Proxy ${proxy.url} is unhealthy: ${proxy.error}`, "error");
+}
+
+function isProxyHealthy(proxyUrl) {
+  return !proxyUrl || state.proxies.some(proxy => proxy.url === proxyUrl && proxy.healthy);
+}
+
+function getProxyForAccount(index) {
+  if (state.proxies.length === 0) return null;
+  const proxy = selectProxy(state.proxies, index, state.privateKeys.length);
+  if (!proxy) throw new Error("No healthy proxy available");
+  return proxy.url;
+}
+
+
+function getProviderWithProxy(proxyUrl) {
+  const request = new ethers.FetchRequest(getActiveRpcUrl() || HELIOS_RPC_URL);
+  request.getUrlFunc = createFailoverFetch(createAgent(proxyUrl), error => markProxyFailure(proxyUrl, error));
+  return new ethers.JsonRpcProvider(request, HELIOS_CHAIN_ID, { staticNetwork: ethers.Network.from(HELIOS_CHAIN_ID) });
+}
+
+async function sleep(ms, dryRun = false) {
+  if (dryRun) return;
+  if (state.shouldStop) {
+    if (!state.hasLoggedSleepInterrupt) {
+      addLog("Process stopped successfully.", "info");
+      state.hasLoggedSleepInterrupt = true;
+    }
+    return;
+  }
+  await new Promise((resolve) => {
+    const timeout = setTimeout(() => {
+      clearInterval(checkStop);
+      resolve();
+    }, ms);
+    const checkStop = setInterval(() => {
+      if (state.shouldStop) {
+        clearTimeout(timeout);
+        clearInterval(checkStop);
+        if (!state.hasLoggedSleepInterrupt) {
+          addLog("Process interrupted.", "info");
+          state.hasLoggedSleepInterrupt = true;
+        }
+        resolve();
+      }
+    }, 100);
+  });
+}
+
+function formatHLS(value) {
+  return value === null ? "N/A" : Number(ethers.formatUnits(value, 18)).toFixed(4);
+}
+
+function parseHLS(value) {
+  const text = String(value);
+  return ethers.parseUnits(/e/i.test(text) ? Number(value).toFixed(18) : text, 18);
+}
+
+export function isHLSAmount(text) {
+  return /^\d+(\.\d{1,18})?$/.test(text) && parseHLS(text) > 0n;
+}
+
+async function fetchPortfolio(provider, address) {
+  const tokenContract = new ethers.Contract(HLS_TOKEN_ADDRESS, tokenAbi, provider);
+  const [nativeBalance, tokenBalance] = await Promise.all([
+    provider.getBalance(address),
+    tokenContract.balanceOf(address).catch(() => null)
+  ]);
+  let rewards = null;
+  try {
+    rewards = await getTotalRewards(provider, DISTRIBUTION_ADDRESS, address);
+  } catch (error) {
+    addLog(`Debug: delegationTotalRewards unavailable for ${getShortAddress(address)}: ${error.message}`, "debug");
+  }
+  const rewardsByValidator = new Map();
+  if (rewards) {
+    for (const entry of rewards.byValidator) {
+      const validatorAddress = toValidatorAddress(entry.validatorAddress);
+      if (validatorAddress) rewardsByValidator.set(validatorAddress, entry.amount);
+    }
+  }
+  const validators = rewards
+    ? [...rewardsByValidator.keys()].map(validatorAddress => findValidator(validatorAddress) || { name: validatorAddress, address: validatorAddress })
+    : getKnownValidators();
+  const delegations = [];
+  let totalDelegated = 0n;
+  let delegationError = false;
+  for (const validator of validators) {
+    try {
+      const amount = await getDelegatedAmount(provider, STAKE_ROUTER_ADDRESS, address, validator.address);
+      if (amount === 0n) continue;
+      const pending = rewards
+        ? rewardsByValidator.get(validator.address)
+        : await getPendingRewards(provider, DISTRIBUTION_ADDRESS, address, validator.address).catch(() => 0n);
+      delegations.push({ name: validator.name, address: validator.address, amount, rewards: pending });
+      totalDelegated += amount;
+    } catch (error) {
+      delegationError = true;
+    }
+  }
+  return {
+    nativeBalance,
+    tokenBalance,
+    totalDelegated: delegationError && delegations.length === 0 ? null : totalDelegated,
+    pendingRewards: rewards ? rewards.total : delegations.reduce((sum, delegation) => sum + delegation.rewards, 0n),
+    delegations
+  };
+}
+
+export async function updateWalletData() {
+  const walletDataPromises = state.privateKeys.map(async (privateKey, i) => {
+    let address = null;
+    try {
+      const providerHelios = getProviderWithProxy(getProxyForAccount(i));
+      const walletHelios = new ethers.Wallet(privateKey, providerHelios);
+      address = walletHelios.address;
+
+      const portfolio = await fetchPortfolio(providerHelios, walletHelios.address);
+      const formattedHLS = formatHLS(portfolio.nativeBalance);
+
+      if (i === state.selectedWalletIndex) {
+        state.walletInfo.address = walletHelios.address;
+        state.walletInfo.activeAccount = getAccountName(i);
+        state.walletInfo.balanceHLS = formattedHLS;
+      }
+      return {
+        index: i,
+        label: state.accountLabels[i] || null,
+        address: walletHelios.address,
+        balanceHLS: formattedHLS,
+        tokenHLS: formatHLS(portfolio.tokenBalance),
+        stakedHLS: formatHLS(portfolio.totalDelegated),
+        rewardsHLS: formatHLS(portfolio.pendingRewards),
+        delegations: portfolio.delegations.map(delegation => ({
+          name: delegation.name,
+          address: delegation.address,
+          amountHLS: formatHLS(delegation.amount),
+          rewardsHLS: formatHLS(delegation.rewards)
+        })),
+        error: null
+      };
+    } catch (error) {
+      addLog(`Failed to fetch wallet data for account #${i + 1}: ${error.message}`, "error");
+      return {
+        index: i,
+        label: state.accountLabels[i] || null,
+        address,
+        balanceHLS: "0.0000",
+        tokenHLS: "N/A",
+        stakedHLS: "N/A",
+        rewardsHLS: "N/A",
+        delegations: [],
+        error: error.message
+      };
+    }
+  });
+  try {
+    const walletData = await Promise.all(walletDataPromises);
+    addLog("Wallet data updated.", "success");
+    return walletData;
+  } catch (error) {
+    addLog(`Wallet data update failed: ${error.message}`, "error");
+    return [];
+  }
+}
+
+async function replaceStuckTransaction(wallet, sentTx) {
+  const action = dailyActivityConfig.stuckTxAction;
+  const fees = bumpFees(sentTx, await wallet.provider.getFeeData(), dailyActivityConfig.feeBumpPercent);
+  addLog(`${action === "cancel" ? "Cancelling" : "Speeding up"} stuck tx ${getShortHash(sentTx.hash)} (nonce ${sentTx.nonce})`, "wait");
+  return wallet.sendTransaction(buildReplacement(sentTx, action, fees));
+}
+
+function checkReceipt(receipt, event) {
+  if (receipt.status !== 0) return { receipt, event };
+  const error = new Error(`Transaction ${getShortHash(receipt.hash)} reverted`);
+  error.receipt = receipt;
+  error.pendingEvent = event;
+  throw error;
+}
+
+async function waitForReceipt(wallet, sentTx, event) {
+  const sentEvents = new Map([[event.hash, event]]);
+  let current = sentTx;
+  let currentEvent = event;
+  for (let replacements = 0; ; replacements++) {
+    try {
+      const receipt = await current.wait(1, dailyActivityConfig.txTimeout);
+      return { receipt, event: currentEvent };
+    } catch (error) {
+      if (error.code === "CALL_EXCEPTION" && error.receipt) {
+        checkReceipt(error.receipt, currentEvent);
+      }
+      if (error.code === "TRANSACTION_REPLACED" && sentEvents.has(error.replacement.hash)) {
+        return checkReceipt(error.receipt, sentEvents.get(error.replacement.hash));
+      }
+      if (error.code === "TRANSACTION_REPLACED" && error.reason === "repriced") {
+        return checkReceipt(error.receipt, { ...currentEvent, hash: error.replacement.hash });
+      }
+      const canReplace = error.code === "TIMEOUT" && dailyActivityConfig.stuckTxAction !== "none" && replacements < dailyActivityConfig.maxTxReplacements;
+      if (!canReplace) {
+        const failure = error.code === "TRANSACTION_REPLACED"
+          ? new Error(`Transaction ${getShortHash(current.hash)} was replaced by ${getShortHash(error.replacement.hash)}`)
+          : error.code === "TIMEOUT"
+          ? new Error(`Transaction ${getShortHash(current.hash)} not confirmed after ${dailyActivityConfig.txTimeout / 1000} seconds`)
+          : error;
+        failure.pendingEvent = currentEvent;
+        throw failure;
+      }
+    }
+    let replacement;
+    try {
+      replacement = await replaceStuckTransaction(wallet, current);
+    } catch (error) {
+      error.pendingEvent = currentEvent;
+      throw error;
+    }
+    engine.emit("txReplaced", { ...currentEvent, replacedBy: replacement.hash });
+    removePendingTx(currentEvent.hash);
+    currentEvent = {
+      ...event,
+      operation: dailyActivityConfig.stuckTxAction === "cancel" ? "cancel" : event.operation,
+      hash: replacement.hash,
+      replaces: current.hash
+    };
+    sentEvents.set(currentEvent.hash, currentEvent);
+    engine.emit("txSent", currentEvent);
+    addPendingTx(currentEvent);
+    current = replacement;
+  }
+}
+
+async function trackTransaction(operation, wallet, sentTx, details = {}) {
+  const event = { operation, account: wallet.address, hash: sentTx.hash, nonce: sentTx.nonce, ...details };
+  engine.emit("txSent", event);
+  addPendingTx(event);
+  let result;
+  try {
+    result = await waitForReceipt(wallet, sentTx, event);
+  } catch (error) {
+    const failedEvent = error.pendingEvent || event;
+    if (!error.receipt) resyncNonce(wallet.address);
+    removePendingTx(failedEvent.hash);
+    engine.emit("txFailed", { ...failedEvent, status: error.receipt ? error.receipt.status : null, gasUsed: error.receipt ? error.receipt.gasUsed : null, error: error.message });
+    throw error;
+  } finally {
+    removePendingTx(event.hash);
+  }
+  const { receipt, event: confirmedEvent } = result;
+  removePendingTx(confirmedEvent.hash);
+  const fee = ethers.formatUnits(receipt.fee, 18);
+  addLog(`${getShortAddress(wallet.address)} - ${confirmedEvent.operation} gas cost: ${fee} HLS (${receipt.gasUsed} gas)`, "info");
+  engine.emit("txConfirmed", { ...confirmedEvent, status: receipt.status, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed, fee });
+  if (confirmedEvent.operation === "cancel") throw new Error(`Stuck ${operation} transaction was cancelled`);
+  return receipt;
+}
+
+async function prepareTransaction(wallet, tx) {
+  let estimate;
+  try {
+    estimate = await wallet.provider.estimateGas({ ...tx, from: wallet.address });
+  } catch (error) {
+    throw new Error(`Gas estimation failed: ${error.shortMessage || error.message}`);
+  }
+  const gasLimit = applyGasBuffer(estimate, dailyActivityConfig.gasLimitBuffer);
+  const fees = await suggestFees(wallet.provider, {
+    blocks: dailyActivityConfig.feeHistoryBlocks,
+    percentile: dailyActivityConfig.priorityFeePercentile
+  });
+  const maxCost = maxTransactionCost(gasLimit, fees);
+  if (dailyActivityConfig.maxTxFeeHLS > 0 && maxCost > parseHLS(dailyActivityConfig.maxTxFeeHLS)) {
+    throw new Error(`Skipped, network too expensive: up to ${ethers.formatUnits(maxCost, 18)} HLS in fees exceeds the ${dailyActivityConfig.maxTxFeeHLS} HLS cap`);
+  }
+  addLog(`Debug: Gas limit ${gasLimit} (estimate ${estimate}), max fee ${ethers.formatUnits(maxCost, 18)} HLS`, "debug");
+  return { ...tx, gasLimit, ...fees };
+}
+
+async function simulateTransaction(wallet, tx, details) {
+  const entry = { account: wallet.address, to: tx.to, ...details, gasLimit: null, maxFeeHLS: null, error: null, expected: false };
+  const label = `${getShortAddress(wallet.address)} - Dry run ${details.operation}`;
+  try {
+    await wallet.provider.call({ ...tx, from: wallet.address });
+    const prepared = await prepareTransaction(wallet, tx);
+    entry.gasLimit = prepared.gasLimit.toString();
+    entry.maxFeeHLS = ethers.formatUnits(maxTransactionCost(prepared.gasLimit, prepared), 18);
+    addLog(`${label}: OK, gas limit ${entry.gasLimit}, up to ${entry.maxFeeHLS} HLS in fees`, "success");
+  } catch (error) {
+    entry.error = error.reason || error.shortMessage || error.message;
+    entry.expected = Boolean(details.afterApproval);
+    if (entry.expected) {
+      addLog(`${label}: Not simulated until the approval is mined: ${entry.error}`, "info");
+    } else {
+      addLog(`${label}: Would fail: ${entry.error}`, "error");
+    }
+  }
+  dryRunReport.push(entry);
+  return entry;
+}
+
+async function sendTransaction(wallet, tx) {
+  if (state.shouldStop) {
+    addLog("Transaction stopped due to stop request.", "info");
+    const error = new Error("Process stopped");
+    error.notBroadcast = true;
+    throw error;
+  }
+  if (!wallet.address || !ethers.isAddress(wallet.address)) {
+    addLog(`Invalid wallet address: ${wallet.address}`, "error");
+    throw new Error("Invalid wallet address");
+  }
+  const prepared = await prepareTransaction(wallet, tx);
+  let nonce;
+  try {
+    nonce = await reserveNonce(wallet.provider, wallet.address);
+    addLog(`Debug: Reserved nonce ${nonce} for ${getShortAddress(wallet.address)}`, "debug");
+  } catch (error) {
+    addLog(`Failed to fetch nonce for ${getShortAddress(wallet.address)}: ${error.message}`, "error");
+    throw error;
+  }
+  try {
+    return await wallet.sendTransaction({ ...prepared, nonce });
+  } catch (error) {
+    resyncNonce(wallet.address);
+    throw error;
+  }
+}
+
+async function bridgeHLS(wallet, amount, destination, dryRun = false) {
+  const direction = `Helios ⮞ ${destination.name}`;
+  const routerAddress = dailyActivityConfig.bridgeRouterAddress;
+  try {
+    addLog(`Debug: Starting bridge from Helios to ${destination.name} for ${amount} HLS`, "debug");
+    const amountWei = parseHLS(amount);
+    const tokenContract = new ethers.Contract(HLS_TOKEN_ADDRESS, tokenAbi, wallet);
+    addLog(`Debug: Checking allowance for ${routerAddress} on Helios`, "debug");
+    const allowance = await tokenContract.allowance(wallet.address, routerAddress);
+    addLog(`Debug: Allowance: ${ethers.formatUnits(allowance, 18)} HLS`, "debug");
+    const needsApproval = allowance < amountWei;
+    if (needsApproval) setLogOperation("approve");
+    if (needsApproval && dryRun) {
+      await simulateTransaction(wallet, await tokenContract.approve.populateTransaction(routerAddress, amountWei), { operation: "approve", amount });
+    } else if (needsApproval) {
+      addLog(`Approving ${amount} HLS on Helios`, "info");
+      const approveTx = await sendTransaction(wallet, await tokenContract.approve.populateTransaction(routerAddress, amountWei));
+      const approveReceipt = await trackTransaction("approve", wallet, approveTx, { amount });
+      addLog(`Approval HLS on Helios Successfully, Hash: ${getShortHash(approveReceipt.hash)}`, "success");
+    }
+    setLogOperation("bridge");
+
+    const data = encodeBridgeCalldata({
+      chainId: destination.chainId,
+      receiver: wallet.address,
+      asset: HLS_TOKEN_ADDRESS,
+      amountWei,
+      feeWei: parseHLS(destination.fee)
+    });
+
+    const tx = {
+      to: routerAddress,
+      data,
+      chainId: HELIOS_CHAIN_ID
+    };
+    if (dryRun) {
+      await simulateTransaction(wallet, tx, {
+        operation: "bridge",
+        amount,
+        destination: destination.name,
+        chainId: destination.chainId,
+        afterApproval: needsApproval
+      });
+      return;
+    }
+    addLog(`Debug: Sending bridge transaction ${direction}: ${JSON.stringify(tx)}`, "debug");
+    const sentTx = await sendTransaction(wallet, tx);
+    const receipt = await trackTransaction("bridge", wallet, sentTx, { amount, destination: destination.name, chainId: destination.chainId });
+    addLog(`Bridge ${direction} successfully: ${getShortHash(receipt.hash)}`, "success");
+  } catch (error) {
+    addLog(`Bridge ${direction} failed: ${error.message}`, "error");
+    throw error;
+  }
+}
+
+async function sendStakingTransaction(wallet, to, data, operation, label, details, dryRun = false) {
+  const tx = {
+    to,
+    data,
+    chainId: HELIOS_CHAIN_ID
+  };
+  addLog(`Debug: ${label} transaction object: ${JSON.stringify(tx)}`, "debug");
+  if (dryRun) {
+    await simulateTransaction(wallet, tx, { operation, ...details });
+    return null;
+  }
+  const sentTx = await sendTransaction(wallet, tx);
+  addLog(`${label} transaction sent: ${getShortHash(sentTx.hash)}`, "success");
+  const receipt = await trackTransaction(operation, wallet, sentTx, details);
+  addLog(`${label} Transaction Successfully, Hash: ${getShortHash(receipt.hash)}`, "success");
+  return receipt;
+}
+
+async function stake(wallet, amount, validatorAddress, validatorName, dryRun = false) {
+  try {
+    if (!ethers.isAddress(wallet.address)) throw new Error(`Invalid wallet address: ${wallet.address}`);
+    addLog(`Debug: Building stake transaction for amount ${amount} HLS to validator ${validatorName || validatorAddress}`, "debug");
+    const data = encodeDelegate(wallet.address, validatorAddress, parseHLS(amount));
+    await sendStakingTransaction(wallet, STAKE_ROUTER_ADDRESS, data, "stake", "Stake", { amount, validator: validatorAddress }, dryRun);
+  } catch (error) {
+    addLog(`Stake operation failed: ${error.message}`, "error");
+    throw error;
+  }
+}
+
+async function undelegate(wallet, amount, validatorAddress, validatorName, dryRun = false) {
+  try {
+    addLog(`Debug: Building undelegate transaction for amount ${amount} HLS from validator ${validatorName || validatorAddress}`, "debug");
+    const data = encodeUndelegate(wallet.address, validatorAddress, parseHLS(amount));
+    await sendStakingTransaction(wallet, STAKE_ROUTER_ADDRESS, data, "undelegate", "Undelegate", { amount, validator: validatorAddress }, dryRun);
+  } catch (error) {
+    addLog(`Undelegate operation failed: ${error.message}`, "error");
+    throw error;
+  }
+}
+
+async function redelegate(wallet, amount, sourceValidator, targetValidator, dryRun = false) {
+  try {
+    addLog(`Debug: Building redelegate transaction for amount ${amount} HLS from ${sourceValidator.name} to ${targetValidator.name}`, "debug");
+    const data = encodeRedelegate(wallet.address, sourceValidator.address, targetValidator.address, parseHLS(amount));
+    await sendStakingTransaction(wallet, STAKE_ROUTER_ADDRESS, data, "redelegate", "Redelegate", {
+      amount,
+      validator: targetValidator.address,
+      sourceValidator: sourceValidator.address
+    }, dryRun);
+  } catch (error) {
+    addLog(`Redelegate operation failed: ${error.message}`, "error");
+    throw error;
+  }
+}
+
+async function claimRewards(wallet, validator, dryRun = false) {
+  try {
+    addLog(`Debug: Building withdraw rewards transaction from validator ${validator.name}`, "debug");
+    const data = encodeWithdrawRewards(wallet.address, validator.address);
+    await sendStakingTransaction(wallet, DISTRIBUTION_ADDRESS, data, "claimRewards", "Claim Rewards", { validator: validator.address }, dryRun);
+  } catch (error) {
+    addLog(`Claim rewards operation failed: ${error.message}`, "error");
+    throw error;
+  }
+}
+
+function randomAmount(min, max) {
+  return (Math.random() * (max - min) + min).toFixed(4);
+}
+
+export function getValidators() {
+  return state.validators;
+}
+
+export async function refreshValidators() {
+  let validators = dailyActivityConfig.validators;
+  state.validatorSource = "config";
+  if (dailyActivityConfig.validatorDiscovery) {
+    try {
+      const provider = getProviderWithProxy(getProxyForAccount(0));
+      const discovered = await fetchValidators(provider, STAKE_ROUTER_ADDRESS);
+      if (discovered.length === 0) throw new Error("staking precompile returned no validators");
+      validators = discovered;
+      state.validatorSource = "chain";
+    } catch (error) {
+      addLog(`Validator discovery failed, using configured validators: ${error.message}`, "error");
+    }
+  }
+  state.discoveredValidators = validators;
+  state.validators = applyValidatorRules(validators, dailyActivityConfig);
+  addLog(`Validator set updated: ${state.validators.length} of ${validators.length} validators eligible (${state.validatorSource})`, "success");
+  engine.emit("validatorsChanged", state.validators);
+  return state.validators;
+}
+
+function getKnownValidators() {
+  return state.discoveredValidators.length > 0 ? state.discoveredValidators : getValidators();
+}
+
+export function findValidator(reference) {
+  const needle = String(reference).toLowerCase();
+  return getKnownValidators().find(validator => validator.address.toLowerCase() === needle || validator.name.toLowerCase() === needle) || null;
+}
+
+export function findAccountIndex(reference) {
+  const needle = String(reference).toLowerCase();
+  const byLabel = state.accountLabels.findIndex(label => label && label.toLowerCase() === needle);
+  if (byLabel !== -1) return byLabel;
+  const byAddress = state.privateKeys.findIndex(privateKey => new ethers.Wallet(privateKey).address.toLowerCase() === needle);
+  if (byAddress !== -1) return byAddress;
+  const position = Number(reference);
+  return Number.isInteger(position) && position >= 1 && position <= state.privateKeys.length ? position - 1 : -1;
+}
+
+async function getDelegations(provider, address) {
+  const delegations = [];
+  for (const validator of getKnownValidators()) {
+    try {
+      const amount = await getDelegatedAmount(provider, STAKE_ROUTER_ADDRESS, address, validator.address);
+      if (amount > 0n) delegations.push({ validator, amount });
+    } catch (error) {
+      addLog(`Failed to fetch delegation to ${validator.name}: ${error.message}`, "error");
+    }
+  }
+  return delegations;
+}
+
+async function runStakingMaintenance(walletHelios, accountIndex, config, dryRun) {
+  const provider = walletHelios.provider;
+  const name = getAccountName(accountIndex);
+
+  if (config.claimRewards && !state.shouldStop) {
+    setLogOperation("claimRewards");
+    const threshold = parseHLS(config.minRewardsClaim);
+    for (const validator of getValidators()) {
+      if (state.shouldStop) break;
+      try {
+        const rewards = await getPendingRewards(provider, DISTRIBUTION_ADDRESS, walletHelios.address, validator.address);
+        if (rewards < threshold) {
+          addLog(`${name} - Rewards from ${validator.name}: ${ethers.formatUnits(rewards, 18)} HLS below claim threshold`, "debug");
+          continue;
+        }
+        addLog(`${name} - Claiming ${ethers.formatUnits(rewards, 18)} HLS rewards from ${validator.name}`, "info");
+        await claimRewards(walletHelios, validator, dryRun);
+        engine.emit("balancesChanged", { index: accountIndex, address: walletHelios.address });
+      } catch (error) {
+        addLog(`${name} - Claim rewards from ${validator.name}: Failed: ${error.message}`, "error");
+      }
+    }
+  }
+
+  for (let count = 0; count < config.undelegateRepetitions && !state.shouldStop; count++) {
+    setLogOperation("undelegate");
+    const amountHLS = randomAmount(config.minHlsUndelegate, config.maxHlsUndelegate);
+    try {
+      const delegations = await getDelegations(provider, walletHelios.address);
+      const source = delegations.find(delegation => delegation.amount >= parseHLS(amountHLS));
+      if (!source) {
+        addLog(`${name} - Undelegate ${count + 1}: No validator holds ${amountHLS} HLS of delegation, skipping`, "error");
+        break;
+      }
+      addLog(`${name} - Undelegate ${count + 1}: Undelegate ${amountHLS} HLS from ${source.validator.name}`, "info");
+      await undelegate(walletHelios, amountHLS, source.validator.address, source.validator.name, dryRun);
+      engine.emit("balancesChanged", { index: accountIndex, address: walletHelios.address });
+    } catch (error) {
+      addLog(`${name} - Undelegate ${count + 1}: Failed: ${error.message}`, "error");
+    }
+    if (count < config.undelegateRepetitions - 1 && !state.shouldStop) {
+      await sleep(config.stakeDelay, dryRun);
+    }
+  }
+
+  for (let count = 0; count < config.redelegateRepetitions && !state.shouldStop; count++) {
+    setLogOperation("redelegate");
+    const amountHLS = randomAmount(config.minHlsRedelegate, config.maxHlsRedelegate);
+    try {
+      const delegations = await getDelegations(provider, walletHelios.address);
+      const source = delegations.find(delegation => delegation.amount >= parseHLS(amountHLS));
+      const targets = getValidators().filter(validator => source && validator.address !== source.validator.address);
+      if (!source || targets.length === 0) {
+        addLog(`${name} - Redelegate ${count + 1}: No validator holds ${amountHLS} HLS of delegation to move, skipping`, "error");
+        break;
+      }
+      const target = targets[Math.floor(Math.random() * targets.length)];
+      addLog(`${name} - Redelegate ${count + 1}: Move ${amountHLS} HLS from ${source.validator.name} to ${target.name}`, "info");
+      await redelegate(walletHelios, amountHLS, source.validator, target, dryRun);
+    } catch (error) {
+      addLog(`${name} - Redelegate ${count + 1}: Failed: ${error.message}`, "error");
+    }
+    if (count < config.redelegateRepetitions - 1 && !state.shouldStop) {
+      await sleep(config.stakeDelay, dryRun);
+    }
+  }
+}
+
+export async function runStakingAction({ action, accountIndex, validator, targetValidator, amount }) {
+  if (state.isActivityRunning) throw new Error("Stop the current activity before running a manual staking action.");
+  const privateKey = state.privateKeys[accountIndex];
+  if (!privateKey) throw new Error(`Unknown account #${accountIndex + 1}`);
+  const walletHelios = new ethers.Wallet(privateKey, getProviderWithProxy(getProxyForAccount(accountIndex)));
+  return logContext.run({ account: walletHelios.address, operation: action }, async () => {
+    addLog(`${getAccountName(accountIndex)} - Manual ${action} started`, "info");
+    switch (action) {
+      case "undelegate":
+        await undelegate(walletHelios, amount, validator.address, validator.name);
+        break;
+      case "redelegate":
+        await redelegate(walletHelios, amount, validator, targetValidator);
+        break;
+      case "claimRewards": {
+        let claimed = 0;
+        for (const source of validator ? [validator] : getValidators()) {
+          try {
+            await claimRewards(walletHelios, source);
+            claimed++;
+          } catch (error) {
+            if (validator) throw error;
+          }
+        }
+        if (claimed === 0) throw new Error("No rewards could be claimed from any validator");
+        break;
+      }
+      default:
+        throw new Error(`Unknown staking action: ${action}`);
+    }
+    engine.emit("balancesChanged", { index: accountIndex, address: walletHelios.address });
+  });
+}
+
+function saveCheckpoint(changes) {
+  if (!cycleCheckpoint) return;
+  cycleCheckpoint = { ...cycleCheckpoint, ...changes, updatedAt: new Date().toISOString() };
+  try {
+    writeCheckpoint(cycleCheckpoint);
+  } catch (error) {
+    addLog(`Failed to write ${CHECKPOINT_FILE}: ${error.message}`, "error");
+  }
+}
+
+function addPendingTx(event) {
+  if (!cycleCheckpoint || !state.isActivityRunning) return;
+  saveCheckpoint({ pendingTxs: [...cycleCheckpoint.pendingTxs, event] });
+}
+
+function removePendingTx(hash) {
+  if (!cycleCheckpoint || !cycleCheckpoint.pendingTxs.some(tx => tx.hash === hash)) return;
+  saveCheckpoint({ pendingTxs: cycleCheckpoint.pendingTxs.filter(tx => tx.hash !== hash) });
+}
+
+export function getSavedCheckpoint() {
+  try {
+    return readCheckpoint();
+  } catch (error) {
+    addLog(`Failed to read ${CHECKPOINT_FILE}: ${error.message}`, "error");
+    return null;
+  }
+}
+
+export function discardCheckpoint() {
+  cycleCheckpoint = null;
+  try {
+    clearCheckpoint();
+  } catch (error) {
+    addLog(`Failed to remove ${CHECKPOINT_FILE}: ${error.message}`, "error");
+  }
+}
+
+function saveAccountProgress(address, changes) {
+  if (!cycleCheckpoint) return;
+  const accounts = { ...cycleCheckpoint.accounts, [address]: { bridgeCount: 0, stakeCount: 0, done: false, ...cycleCheckpoint.accounts[address], ...changes } };
+  saveCheckpoint({ accounts });
+}
+
+function setAccountStatus(index, phase, step = "") {
+  state.accountStatus[index] = { phase, step };
+  engine.emit("accountStatus", { index, phase, step });
+}
+
+async function reconcilePendingTxs(checkpoint) {
+  const provider = getProviderWithProxy(getProxyForAccount(0));
+  const accounts = Object.fromEntries(Object.entries(checkpoint.accounts).map(([address, progress]) => [address, { ...progress }]));
+  for (const tx of checkpoint.pendingTxs) {
+    let receipt = await provider.getTransactionReceipt(tx.hash);
+    if (!receipt && await provider.getTransaction(tx.hash)) {
+      addLog(`Waiting for pending ${tx.operation} tx ${getShortHash(tx.hash)} from the interrupted cycle...`, "wait");
+      try {
+        receipt = await provider.waitForTransaction(tx.hash, 1, dailyActivityConfig.txTimeout);
+      } catch (error) {
+        addLog(`Pending ${tx.operation} tx ${getShortHash(tx.hash)} is still unconfirmed: ${error.message}`, "error");
+        continue;
+      }
+    }
+    if (!receipt) {
+      addLog(`Pending ${tx.operation} tx ${getShortHash(tx.hash)} was dropped, the step will run again.`, "info");
+      engine.emit("txFailed", { ...tx, status: null, error: "Dropped before confirmation" });
+      continue;
+    }
+    const result = { ...tx, status: receipt.status, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed };
+    if (receipt.status !== 1) {
+      addLog(`Pending ${tx.operation} tx ${getShortHash(tx.hash)} reverted.`, "error");
+      engine.emit("txFailed", result);
+      continue;
+    }
+    addLog(`Pending ${tx.operation} tx ${getShortHash(tx.hash)} confirmed.`, "success");
+    engine.emit("txConfirmed", result);
+    const progress = accounts[tx.account];
+    if (!progress || progress.done) continue;
+    if (tx.operation === "bridge") progress.bridgeCount++;
+    if (tx.operation === "stake") progress.stakeCount++;
+  }
+  return { ...checkpoint, accounts, pendingTxs: [] };
+}
+
+export async function resumeCycle(checkpoint, { reschedule = true } = {}) {
+  await runDailyActivity({ reschedule, resume: checkpoint });
+}
+
+async function processAccount(accountIndex, dryRun) {
+  const name = getAccountName(accountIndex);
+  addLog(`Starting processing for account ${accountIndex + 1}`, "info");
+  const config = getAccountConfig(accountIndex);
+  if (!config.enabled) {
+    addLog(`${name} - Disabled by account profile, skipping.`, "info");
+    saveAccountProgress(getAccountAddress(accountIndex), { done: true });
+    setAccountStatus(accountIndex, "skipped", "Disabled by profile");
+    return;
+  }
+  let proxyUrl = getProxyForAccount(accountIndex);
+  addLog(`${name}: Using Proxy ${proxyUrl || "none"}`, "info");
+  let providerHelios = getProviderWithProxy(proxyUrl);
+  let walletHelios = new ethers.Wallet(state.privateKeys[accountIndex], providerHelios);
+  const replaceUnhealthyProxy = () => {
+    if (isProxyHealthy(proxyUrl)) return;
+    proxyUrl = getProxyForAccount(accountIndex);
+    addLog(`${name}: Proxy unhealthy, switching to ${proxyUrl || "none"}`, "info");
+    providerHelios = getProviderWithProxy(proxyUrl);
+    walletHelios = new ethers.Wallet(state.privateKeys[accountIndex], providerHelios);
+  };
+  if (!ethers.isAddress(walletHelios.address)) {
+    addLog(`Invalid wallet address for account ${accountIndex + 1}: ${walletHelios.address}`, "error");
+    setAccountStatus(accountIndex, "failed", "Invalid address");
+    return;
+  }
+  addLog(`Processing account ${accountIndex + 1}: ${getShortAddress(walletHelios.address)}`, "wait");
+  engine.emit("accountStarted", { index: accountIndex, address: walletHelios.address });
+  const saved = (cycleCheckpoint && cycleCheckpoint.accounts[walletHelios.address]) || { bridgeCount: 0, stakeCount: 0 };
+  saveAccountProgress(walletHelios.address, {});
+
+  const selectDestination = createDestinationSelector(config);
+  for (let bridgeCount = saved.bridgeCount; bridgeCount < config.bridgeRepetitions && !state.shouldStop; bridgeCount++) {
+    setAccountStatus(accountIndex, "running", `Bridge ${bridgeCount + 1}/${config.bridgeRepetitions}`);
+    setLogOperation("bridge");
+    replaceUnhealthyProxy();
+    const destination = selectDestination(bridgeCount);
+    if (!destination) {
+      addLog(`${name} - No enabled bridge destination matches strategy "${config.bridgeStrategy}", skipping bridges.`, "error");
+      break;
+    }
+    const amountHLS = randomAmount(config.minHlsBridge, config.maxHlsBridge);
+    const direction = `Helios ⮞ ${destination.name}`;
+    addLog(`${name} - Bridge ${bridgeCount + 1}: ${direction} ${amountHLS} HLS`, "info");
+
+    let isAborted = false;
+    try {
+      const tokenContract = new ethers.Contract(HLS_TOKEN_ADDRESS, tokenAbi, providerHelios);
+      const balance = await tokenContract.balanceOf(walletHelios.address);
+      const balanceFormatted = ethers.formatUnits(balance, 18);
+      addLog(`${name} - Bridge ${bridgeCount + 1}: HLS Token Balance: ${balanceFormatted}`, "wait");
+      if (balance < parseHLS(amountHLS)) {
+        addLog(`${name} - Bridge ${bridgeCount + 1}: Insufficient HLS token balance (${balanceFormatted})`, "error");
+        engine.emit("lowBalance", { index: accountIndex, address: walletHelios.address, asset: "HLS token", balance: balanceFormatted });
+        continue;
+      }
+
+      await bridgeHLS(walletHelios, amountHLS, destination, dryRun);
+      engine.emit("balancesChanged", { index: accountIndex, address: walletHelios.address });
+    } catch (error) {
+      isAborted = Boolean(error.notBroadcast);
+      addLog(`${name} - Bridge ${bridgeCount + 1}: Failed: ${error.message}`, "error");
+      if (!isAborted) engine.emit("accountFailed", { index: accountIndex, address: walletHelios.address, operation: "bridge", error: error.message });
+    } finally {
+      if (!isAborted) saveAccountProgress(walletHelios.address, { bridgeCount: bridgeCount + 1 });
+    }
+
+    if (bridgeCount < config.bridgeRepetitions - 1 && !state.shouldStop) {
+      addLog(`${name} - Waiting ${config.bridgeDelay / 1000} seconds before next bridge...`, "delay");
+      await sleep(config.bridgeDelay, dryRun);
+    }
+  }
+
+  setLogOperation(null);
+  if (!state.shouldStop && saved.stakeCount < config.stakeRepetitions) {
+    addLog(`${name} - Waiting ${config.stakeDelay / 1000} seconds before staking...`, "wait");
+    await sleep(config.stakeDelay, dryRun);
+  }
+
+  const shuffledValidators = [...getValidators()].sort(() => Math.random() - 0.5);
+  if (shuffledValidators.length === 0 && config.stakeRepetitions > 0) {
+    addLog(`${name} - No eligible validators, skipping stakes.`, "error");
+  }
+  for (let stakeCount = saved.stakeCount; stakeCount < config.stakeRepetitions && shuffledValidators.length > 0 && !state.shouldStop; stakeCount++) {
+    setAccountStatus(accountIndex, "running", `Stake ${stakeCount + 1}/${config.stakeRepetitions}`);
+    setLogOperation("stake");
+    replaceUnhealthyProxy();
+    const validator = shuffledValidators[stakeCount % shuffledValidators.length];
+    const amountHLS = randomAmount(config.minHlsStake, config.maxHlsStake);
+    let isAborted = false;
+    try {
+      const hlsBalance = await providerHelios.getBalance(walletHelios.address);
+      const balanceFormatted = ethers.formatUnits(hlsBalance, 18);
+      addLog(`${name} - Stake ${stakeCount + 1}: Native HLS Balance: ${balanceFormatted}`, "wait");
+      const isInsufficient = hlsBalance < parseHLS(amountHLS);
+      if (isInsufficient || Number(balanceFormatted) < dailyActivityConfig.notifications.lowBalanceHLS) {
+        engine.emit("lowBalance", { index: accountIndex, address: walletHelios.address, asset: "native HLS", balance: balanceFormatted });
+      }
+      if (isInsufficient) {
+        addLog(`${name} - Stake ${stakeCount + 1}: Insufficient native HLS balance (${balanceFormatted} HLS)`, "error");
+        continue;
+      }
+      addLog(`${name} - Stake ${stakeCount + 1}: Stake ${amountHLS} HLS to ${validator.name}`, "info");
+      await stake(walletHelios, amountHLS, validator.address, validator.name, dryRun);
+      engine.emit("balancesChanged", { index: accountIndex, address: walletHelios.address });
+    } catch (error) {
+      isAborted = Boolean(error.notBroadcast);
+      addLog(`${name} - Stake ${stakeCount + 1}: Failed: ${error.message}`, "error");
+      if (!isAborted) engine.emit("accountFailed", { index: accountIndex, address: walletHelios.address, operation: "stake", error: error.message });
+    } finally {
+      if (!isAborted) saveAccountProgress(walletHelios.address, { stakeCount: stakeCount + 1 });
+    }
+
+    if (stakeCount < config.stakeRepetitions - 1 && !state.shouldStop) {
+      addLog(`${name} - Waiting ${config.stakeDelay / 1000} seconds before next stake...`, "delay");
+      await sleep(config.stakeDelay, dryRun);
+    }
+  }
+
+  setLogOperation(null);
+  if (!state.shouldStop) setAccountStatus(accountIndex, "running", "Staking maintenance");
+  replaceUnhealthyProxy();
+  await runStakingMaintenance(walletHelios, accountIndex, config, dryRun);
+  setLogOperation(null);
+
+  if (!state.shouldStop) saveAccountProgress(walletHelios.address, { done: true });
+  setAccountStatus(accountIndex, state.shouldStop ? "stopped" : "done");
+  engine.emit("accountFinished", { index: accountIndex, address: walletHelios.address });
+}
+
+async function runAccountWorker(queue, dryRun) {
+  let processed = 0;
+  while (queue.length > 0 && !state.shouldStop) {
+    if (processed > 0) {
+      addLog(`Waiting ${dailyActivityConfig.accountDelay / 1000} seconds before next account...`, "delay");
+      await sleep(dailyActivityConfig.accountDelay, dryRun);
+      if (state.shouldStop || queue.length === 0) break;
+    }
+    const accountIndex = queue.shift();
+    processed++;
+    state.activeProcesses++;
+    engine.emit("stateChanged", state);
+    await logContext.run({ account: getAccountAddress(accountIndex), operation: null }, async () => {
+      try {
+        await processAccount(accountIndex, dryRun);
+      } catch (error) {
+        setLogOperation(null);
+        addLog(`${getAccountName(accountIndex)} - Processing failed: ${error.message}`, "error");
+        setAccountStatus(accountIndex, "failed", error.message);
+        engine.emit("accountFailed", { index: accountIndex, address: null, operation: null, error: error.message });
+      } finally {
+        state.activeProcesses = Math.max(0, state.activeProcesses - 1);
+        engine.emit("stateChanged", state);
+      }
+    });
+  }
+}
+
+export async function runDailyActivity({ reschedule = true, resume = null, dryRun = false } = {}) {
+  if (state.isActivityRunning) {
+    addLog("Activity is already running. Stop it before starting another cycle.", "error");
+    return;
+  }
+  if (state.privateKeys.length === 0) {
+    addLog("No valid private keys found.", "error");
+    return;
+  }
+  if (dryRun) {
+    reschedule = false;
+    resume = null;
+    dryRunReport = [];
+    addLog("Dry run: transactions are simulated and nothing is broadcast.", "info");
+  }
+  addLog(`Starting daily activity. Bridge: ${dailyActivityConfig.bridgeRepetitions}x, Stake: ${dailyActivityConfig.stakeRepetitions}x, Concurrency: ${dailyActivityConfig.accountConcurrency}`, "info");
+  const startedAt = new Date();
+  let failure = null;
+  state.isActivityRunning = true;
+  state.isCycleRunning = true;
+  state.isDryRun = dryRun;
+  state.shouldStop = false;
+  state.hasLoggedSleepInterrupt = false;
+  state.activeProcesses = 0;
+  state.accountStatus = state.privateKeys.map(() => ({ phase: "queued", step: "" }));
+  engine.emit("stateChanged", state);
+  engine.emit("cycleStarted", { accounts: state.privateKeys.length });
+  try {
+    if (resume) {
+      try {
+        resume = await reconcilePendingTxs(resume);
+      } catch (error) {
+        throw new Error(`Failed to reconcile pending transactions: ${error.message}`);
+      }
+      addLog(`Resuming interrupted cycle: ${describeCheckpoint(resume)}.`, "info");
+    }
+    cycleCheckpoint = dryRun
+      ? null
+      : resume
+      ? { ...resume, totalAccounts: state.privateKeys.length, pendingTxs: [] }
+      : { cycleId: uuidv4(), startedAt: startedAt.toISOString(), totalAccounts: state.privateKeys.length, accounts: {}, pendingTxs: [] };
+    saveCheckpoint({});
+    await checkProxies();
+    await refreshValidators();
+    const queue = [];
+    state.privateKeys.forEach((privateKey, accountIndex) => {
+      const progress = cycleCheckpoint && cycleCheckpoint.accounts[ethers.computeAddress(privateKey)];
+      if (progress && progress.done) {
+        setAccountStatus(accountIndex, "done", "Finished before restart");
+      } else {
+        queue.push(accountIndex);
+      }
+    });
+    const workerCount = Math.max(1, Math.min(dailyActivityConfig.accountConcurrency, queue.length));
+    await Promise.all(Array.from({ length: workerCount }, () => runAccountWorker(queue, dryRun)));
+    if (dryRun) {
+      const failed = dryRunReport.filter(entry => entry.error && !entry.expected).length;
+      addLog(`Dry run finished: ${dryRunReport.length} transactions simulated, ${failed} would fail.`, failed > 0 ? "error" : "success");
+      engine.emit("dryRunFinished", dryRunReport);
+    } else if (!state.shouldStop) {
+      discardCheckpoint();
+      if (reschedule) {
+        const nextRunAt = scheduleNextRun(startedAt);
+        addLog(`All accounts processed. Next cycle at ${formatDateTime(nextRunAt)}.`, "success");
+      } else {
+        addLog("All accounts processed.", "success");
+      }
+    }
+  } catch (error) {
+    failure = error.message;
+    addLog(`Daily activity failed: ${error.message}`, "error");
+  } finally {
+    if (reschedule && state.dailyActivityInterval === null) {
+      state.nextRunAt = null;
+      removeScheduleFile();
+    }
+    state.isActivityRunning = false;
+    state.isDryRun = false;
+    state.activeProcesses = 0;
+    state.isScheduled = state.dailyActivityInterval !== null;
+    state.isCycleRunning = state.isActivityRunning || state.isScheduled;
+    engine.emit("cycleFinished", { stopped: state.shouldStop, rescheduled: state.isScheduled, nextRunAt: state.nextRunAt, error: failure });
+    engine.emit("stateChanged", state);
+  }
+}
+
+export function getDryRunReport() {
+  return dryRunReport;
+}
+
+export function stopActivity() {
+  state.shouldStop = true;
+  addLog("Stopping current activity. Please wait for ongoing process to complete.", "info");
+  return new Promise((resolve) => {
+    const stopCheckInterval = setInterval(() => {
+      if (!state.isActivityRunning) {
+        clearInterval(stopCheckInterval);
+        state.shouldStop = false;
+        state.hasLoggedSleepInterrupt = false;
+        addLog("Current activity stopped successfully.", "success");
+        engine.emit("stateChanged", state);
+        resolve();
+      } else {
+        addLog(`Waiting for ${state.activeProcesses} account(s) to finish their current step...`, "info");
+      }
+    }, 1000);
+  });
+}
+
+export function cancelScheduledActivity() {
+  if (!state.dailyActivityInterval) return false;
+  clearLongTimeout(state.dailyActivityInterval);
+  state.dailyActivityInterval = null;
+  state.nextRunAt = null;
+  removeScheduleFile();
+  state.isScheduled = false;
+  state.isCycleRunning = false;
+  addLog("Scheduled activity canceled.", "info");
+  engine.emit("stateChanged", state);
+  return true;
+}
+
+function removeScheduleFile() {
+  try {
+    clearScheduleFile();
+  } catch (error) {
+    addLog(`Failed to remove ${SCHEDULE_FILE}: ${error.message}`, "error");
+  }
+}
+
+function armSchedule(nextRunAt) {
+  clearLongTimeout(state.dailyActivityInterval);
+  state.nextRunAt = nextRunAt;
+  state.dailyActivityInterval = setLongTimeout(() => {
+    state.dailyActivityInterval = null;
+    state.isScheduled = false;
+    if (state.isActivityRunning) {
+      const skippedTo = scheduleNextRun();
+      addLog(`Scheduled cycle skipped because another cycle is still running. Next cycle at ${formatDateTime(skippedTo)}.`, "info");
+      engine.emit("stateChanged", state);
+      return;
+    }
+    runDailyActivity();
+  }, nextRunAt);
+  state.isScheduled = true;
+  state.isCycleRunning = true;
+  try {
+    writeScheduleFile(nextRunAt);
+  } catch (error) {
+    addLog(`Failed to write ${SCHEDULE_FILE}: ${error.message}`, "error");
+  }
+}
+
+export function scheduleNextRun(from = new Date()) {
+  const schedule = parseSchedule(dailyActivityConfig.schedule);
+  let nextRunAt = computeNextRun(schedule, from, dailyActivityConfig.scheduleJitter);
+  if (nextRunAt <= new Date()) nextRunAt = computeNextRun(schedule, new Date(), dailyActivityConfig.scheduleJitter);
+  armSchedule(nextRunAt);
+  return nextRunAt;
+}
+
+export async function resumeSchedule() {
+  let saved;
+  try {
+    saved = readScheduleFile();
+  } catch (error) {
+    addLog(`Failed to read ${SCHEDULE_FILE}: ${error.message}`, "error");
+    return false;
+  }
+  if (!saved) return false;
+  if (saved.nextRunAt > new Date()) {
+    armSchedule(saved.nextRunAt);
+    addLog(`Resumed schedule. Next cycle at ${formatDateTime(saved.nextRunAt)}.`, "info");
+    engine.emit("stateChanged", state);
+    return true;
+  }
+  if (dailyActivityConfig.missedRunPolicy === "skip") {
+    const nextRunAt = scheduleNextRun();
+    addLog(`Skipped missed cycle planned for ${formatDateTime(saved.nextRunAt)}. Next cycle at ${formatDateTime(nextRunAt)}.`, "info");
+    engine.emit("stateChanged", state);
+    return true;
+  }
+  addLog(`Catching up missed cycle planned for ${formatDateTime(saved.nextRunAt)}.`, "info");
+  await runDailyActivity();
+  return true;
+}
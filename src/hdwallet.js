@@ -0,0 +1,36 @@
+import { ethers } from "ethers";
+
+const MAX_ACCOUNTS_PER_PATH = 1000;
+const rangePattern = /\{(\d+)\.\.(\d+)\}/;
+
+export function expandPathTemplate(template) {
+  const match = template.match(rangePattern);
+  if (!match) return [{ index: null, path: template }];
+  const start = Number(match[1]);
+  const end = Number(match[2]);
+  if (end < start) throw new Error(`Invalid index range in ${template}`);
+  if (end - start + 1 > MAX_ACCOUNTS_PER_PATH) throw new Error(`Index range in ${template} exceeds ${MAX_ACCOUNTS_PER_PATH} accounts`);
+  const paths = [];
+  for (let index = start; index <= end; index++) {
+    paths.push({ index, path: template.replace(rangePattern, String(index)) });
+  }
+  return paths;
+}
+
+export function normalizeHdAccount(definition) {
+  if (!definition || typeof definition.path !== "string") throw new Error("HD account definition needs a derivation path");
+  expandPathTemplate(definition.path);
+  return {
+    mnemonic: Number(definition.mnemonic) || 0,
+    path: definition.path,
+    labels: definition.labels && typeof definition.labels === "object" ? definition.labels : {}
+  };
+}
+
+export function deriveHdAccounts(phrase, definition) {
+  const root = ethers.HDNodeWallet.fromSeed(ethers.Mnemonic.fromPhrase(phrase.trim()).computeSeed());
+  return expandPathTemplate(definition.path).map(({ index, path }) => ({
+    privateKey: root.derivePath(path).privateKey,
+    label: definition.labels[index ?? path] || null
+  }));
+}
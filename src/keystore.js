@@ -0,0 +1,148 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+
+export const PLAINTEXT_KEY_FILE = "pk.txt";
+export const MNEMONIC_FILE = "mnemonic.txt";
+export const VAULT_FILE = "vault.json";
+export const KEYSTORE_DIR = "keystore";
+export const PASSWORD_ENV = "HELIOS_VAULT_PASSWORD";
+
+const scryptParams = { N: 2 ** 15, r: 8, p: 1 };
+const privateKeyPattern = /^(0x)?[0-9a-fA-F]{64}$/;
+
+export function isPrivateKey(value) {
+  return privateKeyPattern.test(value);
+}
+
+function normalizeKey(key) {
+  return (key.startsWith("0x") ? key : `0x${key}`).toLowerCase();
+}
+
+export function parsePlaintextKeys(data) {
+  return data.split("\n").map(key => key.trim()).filter(key => isPrivateKey(key));
+}
+
+export function parseMnemonics(data) {
+  return data.split("\n").map(phrase => phrase.trim().replace(/\s+/g, " ")).filter(phrase => ethers.Mnemonic.isValidMnemonic(phrase));
+}
+
+function readPlaintextMnemonics() {
+  return fs.existsSync(MNEMONIC_FILE) ? parseMnemonics(fs.readFileSync(MNEMONIC_FILE, "utf8")) : [];
+}
+
+function listKeystoreFiles() {
+  if (!fs.existsSync(KEYSTORE_DIR)) return [];
+  return fs.readdirSync(KEYSTORE_DIR)
+    .filter(file => file.endsWith(".json"))
+    .sort()
+    .map(file => path.join(KEYSTORE_DIR, file));
+}
+
+export function getKeySource() {
+  if (fs.existsSync(VAULT_FILE)) return "vault";
+  if (listKeystoreFiles().length > 0) return "keystore";
+  return "plaintext";
+}
+
+export function requiresPassword() {
+  return getKeySource() !== "plaintext";
+}
+
+function deriveKey(password, salt, params) {
+  return crypto.scryptSync(password, salt, 32, { ...params, maxmem: 64 * 1024 * 1024 });
+}
+
+export function readVault(password) {
+  const vault = JSON.parse(fs.readFileSync(VAULT_FILE, "utf8"));
+  if (vault.version !== 1 || vault.cipher !== "aes-256-gcm") throw new Error(`Unsupported vault format in ${VAULT_FILE}`);
+  const key = deriveKey(password, Buffer.from(vault.kdfParams.salt, "hex"), {
+    N: vault.kdfParams.N,
+    r: vault.kdfParams.r,
+    p: vault.kdfParams.p
+  });
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(vault.iv, "hex"));
+  decipher.setAuthTag(Buffer.from(vault.tag, "hex"));
+  let plaintext;
+  try {
+    plaintext = Buffer.concat([decipher.update(Buffer.from(vault.ciphertext, "hex")), decipher.final()]).toString("utf8");
+  } catch (error) {
+    throw new Error(`Wrong password for ${VAULT_FILE}`);
+  }
+  const contents = JSON.parse(plaintext);
+  return {
+    privateKeys: contents.privateKeys.filter(key => isPrivateKey(key)),
+    mnemonics: contents.mnemonics || []
+  };
+}
+
+export function writeVault({ privateKeys, mnemonics = [] }, password) {
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const key = deriveKey(password, salt, scryptParams);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify({ privateKeys, mnemonics }), "utf8"), cipher.final()]);
+  const vault = {
+    version: 1,
+    cipher: "aes-256-gcm",
+    kdf: "scrypt",
+    kdfParams: { ...scryptParams, salt: salt.toString("hex") },
+    iv: iv.toString("hex"),
+    tag: cipher.getAuthTag().toString("hex"),
+    ciphertext: ciphertext.toString("hex")
+  };
+  fs.writeFileSync(VAULT_FILE, JSON.stringify(vault, null, 2), { mode: 0o600 });
+}
+
+export async function readKeystoreDirectory(password) {
+  const privateKeys = [];
+  for (const file of listKeystoreFiles()) {
+    try {
+      const wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(file, "utf8"), password);
+      privateKeys.push(wallet.privateKey);
+    } catch (error) {
+      throw new Error(`Failed to decrypt ${file}: ${error.message}`);
+    }
+  }
+  return privateKeys;
+}
+
+export async function readPrivateKeys(password) {
+  const source = getKeySource();
+  if (source !== "plaintext" && !password) throw new Error(`Password required to unlock ${source === "vault" ? VAULT_FILE : KEYSTORE_DIR}`);
+  if (source === "vault") return { source: VAULT_FILE, ...readVault(password) };
+  if (source === "keystore") return { source: KEYSTORE_DIR, privateKeys: await readKeystoreDirectory(password), mnemonics: readPlaintextMnemonics() };
+  return {
+    source: PLAINTEXT_KEY_FILE,
+    privateKeys: fs.existsSync(PLAINTEXT_KEY_FILE) ? parsePlaintextKeys(fs.readFileSync(PLAINTEXT_KEY_FILE, "utf8")) : [],
+    mnemonics: readPlaintextMnemonics()
+  };
+}
+
+export function importPlaintextKeys(password, file = PLAINTEXT_KEY_FILE) {
+  const imported = fs.existsSync(file) ? parsePlaintextKeys(fs.readFileSync(file, "utf8")) : [];
+  const importedMnemonics = readPlaintextMnemonics();
+  if (imported.length === 0 && importedMnemonics.length === 0) throw new Error(`No valid private keys in ${file} or mnemonics in ${MNEMONIC_FILE}`);
+  const vault = fs.existsSync(VAULT_FILE) ? readVault(password) : { privateKeys: [], mnemonics: [] };
+  const existing = vault.privateKeys;
+  const known = new Set(existing.map(normalizeKey));
+  const added = imported.filter((key) => {
+    if (known.has(normalizeKey(key))) return false;
+    known.add(normalizeKey(key));
+    return true;
+  });
+  const addedMnemonics = importedMnemonics.filter(phrase => !vault.mnemonics.includes(phrase));
+  writeVault({ privateKeys: [...existing, ...added], mnemonics: [...vault.mnemonics, ...addedMnemonics] }, password);
+  return { added: added.length, total: existing.length + added.length, mnemonics: vault.mnemonics.length + addedMnemonics.length };
+}
+
+export function exportPlaintextKeys(password, file = PLAINTEXT_KEY_FILE, { overwrite = false } = {}) {
+  const { privateKeys, mnemonics } = readVault(password);
+  const targets = mnemonics.length > 0 ? [file, MNEMONIC_FILE] : [file];
+  const existing = targets.find(target => fs.existsSync(target));
+  if (existing && !overwrite) throw new Error(`${existing} already exists, pass --force to overwrite it`);
+  fs.writeFileSync(file, privateKeys.join("\n") + "\n", { mode: 0o600 });
+  if (mnemonics.length > 0) fs.writeFileSync(MNEMONIC_FILE, mnemonics.join("\n") + "\n", { mode: 0o600 });
+  return { privateKeys: privateKeys.length, mnemonics: mnemonics.length };
+}
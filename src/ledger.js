@@ -0,0 +1,91 @@
+import fs from "fs";
+import { addLog } from "./core.js";
+
+export const LEDGER_FILE = "ledger.jsonl";
+
+function serialize(key, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+export function attachLedger(engine) {
+  const record = (entry) => {
+    try {
+      fs.appendFileSync(LEDGER_FILE, JSON.stringify(entry, serialize) + "\n");
+    } catch (error) {
+      addLog(`Failed to write ${LEDGER_FILE}: ${error.message}`, "error");
+    }
+  };
+  engine.on("txSent", (event) => record({ ...event, status: "pending", sentAt: new Date().toISOString() }));
+  engine.on("txConfirmed", (event) => record({
+    ...event,
+    status: event.status === 0 ? "reverted" : "confirmed",
+    confirmedAt: new Date().toISOString()
+  }));
+  engine.on("txReplaced", (event) => record({ ...event, status: "replaced", confirmedAt: new Date().toISOString() }));
+  engine.on("txFailed", (event) => record({
+    ...event,
+    status: event.status === 0 ? "reverted" : "failed",
+    confirmedAt: new Date().toISOString()
+  }));
+}
+
+export function readLedger() {
+  if (!fs.existsSync(LEDGER_FILE)) return [];
+  const byHash = new Map();
+  for (const line of fs.readFileSync(LEDGER_FILE, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      continue;
+    }
+    byHash.set(entry.hash, { ...byHash.get(entry.hash), ...entry });
+  }
+  return [...byHash.values()].sort((a, b) => (a.sentAt || "").localeCompare(b.sentAt || ""));
+}
+
+export function filterLedger(entries, filters = {}) {
+  const account = typeof filters.account === "string" ? filters.account.toLowerCase() : null;
+  const since = filters.since ? new Date(filters.since).getTime() : null;
+  const until = filters.until ? new Date(filters.until).getTime() : null;
+  const matches = entries.filter((entry) => {
+    if (account && !(entry.account || "").toLowerCase().includes(account)) return false;
+    if (filters.operation && entry.operation !== filters.operation) return false;
+    if (filters.status && entry.status !== filters.status) return false;
+    const sentAt = new Date(entry.sentAt).getTime();
+    if (since !== null && sentAt < since) return false;
+    if (until !== null && sentAt > until) return false;
+    return true;
+  });
+  return filters.limit ? matches.slice(-Number(filters.limit)) : matches;
+}
+
+export function parseLedgerQuery(query) {
+  const filters = {};
+  for (const term of query.trim().split(/\s+/).filter(Boolean)) {
+    const [key, ...rest] = term.split(":");
+    const value = rest.join(":");
+    if (value && ["account", "operation", "status", "since", "until", "limit"].includes(key)) {
+      filters[key] = value;
+    } else {
+      filters.account = term;
+    }
+  }
+  return filters;
+}
+
+export function describeLedgerEntry(entry) {
+  const target = entry.destination || entry.validator || "";
+  return [
+    entry.sentAt ? entry.sentAt.replace("T", " ").slice(0, 19) : "-",
+    entry.status,
+    entry.operation,
+    entry.amount ? `${entry.amount} HLS` : "",
+    target ? `→ ${target}` : "",
+    entry.account,
+    entry.hash,
+    entry.gasUsed ? `gas ${entry.gasUsed}` : "",
+    entry.fee ? `fee ${entry.fee} HLS` : ""
+  ].filter(Boolean).join("  ");
+}
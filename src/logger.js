@@ -0,0 +1,114 @@
+import fs from "fs";
+import path from "path";
+import { redactCredentials } from "./proxy.js";
+
+export const LOG_FILE = "bot.log.jsonl";
+export const LOG_LEVELS = ["debug", "info", "error"];
+
+export const LOGGING_DEFAULTS = {
+  level: "info",
+  fileLevel: "info",
+  file: LOG_FILE,
+  maxSizeMB: 10,
+  maxFiles: 5,
+  timezone: "Asia/Jakarta",
+  locale: "id-ID"
+};
+
+const secretPatterns = [
+  [/\b(password|passphrase|secret|token|api[_-]?key|private[_-]?key|mnemonic)(["']?\s*[:=]\s*)(["'])(?:(?!\3).)+\3/gi, "$1$2$3***$3"],
+  [/\b(password|passphrase|secret|token|api[_-]?key|private[_-]?key|mnemonic)(\s*[:=]\s*)[^\s"',}&]+/gi, "$1$2***"],
+  [/\bbot\d+:[\w-]{20,}/g, "bot***"],
+  [/(\/api\/webhooks\/\d+\/)[\w-]+/g, "$1***"],
+  [/(?<![0-9a-fA-Fx])[0-9a-fA-F]{64}(?![0-9a-fA-F])/g, "***"]
+];
+
+const secrets = new Set();
+let settings = { ...LOGGING_DEFAULTS };
+
+export function checkTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+  } catch (error) {
+    throw new Error("must be an IANA time zone such as Asia/Jakarta or UTC");
+  }
+  return timezone;
+}
+
+export function checkLocale(locale) {
+  let supported;
+  try {
+    supported = Intl.DateTimeFormat.supportedLocalesOf(locale);
+  } catch (error) {
+    supported = [];
+  }
+  if (supported.length === 0) throw new Error("must be a supported locale such as id-ID or en-US");
+  return locale;
+}
+
+export function registerSecrets(values) {
+  for (const value of values) {
+    const secret = String(value || "").trim().replace(/^0x/i, "");
+    if (secret.length >= 8) secrets.add(secret);
+  }
+}
+
+export function redactSecrets(text) {
+  let result = redactCredentials(text);
+  for (const secret of secrets) result = result.split(secret).join("***");
+  for (const [pattern, replacement] of secretPatterns) result = result.replace(pattern, replacement);
+  return result;
+}
+
+export function configureLogging(options) {
+  settings = { ...LOGGING_DEFAULTS, ...options };
+}
+
+function levelOf(type) {
+  return type === "debug" || type === "error" ? type : "info";
+}
+
+export function shouldLog(type, level = settings.level) {
+  return LOG_LEVELS.indexOf(levelOf(type)) >= LOG_LEVELS.indexOf(level);
+}
+
+export function formatLogTime(date = new Date()) {
+  return date.toLocaleTimeString(settings.locale, { timeZone: settings.timezone });
+}
+
+export function formatLogDateTime(date) {
+  return date.toLocaleString(settings.locale, { timeZone: settings.timezone });
+}
+
+function formatDay(date) {
+  return date.toLocaleDateString("en-CA", { timeZone: settings.timezone });
+}
+
+function rotateLogFile(file, day) {
+  const { dir, name, ext } = path.parse(file);
+  const folder = dir || ".";
+  let index = 1;
+  while (fs.existsSync(path.join(folder, `${name}.${day}.${index}${ext}`))) index++;
+  fs.renameSync(file, path.join(folder, `${name}.${day}.${index}${ext}`));
+  const rotated = fs.readdirSync(folder)
+    .filter(entry => entry.startsWith(`${name}.`) && entry.endsWith(ext) && entry !== `${name}${ext}`)
+    .map(entry => ({ entry, mtime: fs.statSync(path.join(folder, entry)).mtimeMs }))
+    .sort((a, b) => b.mtime - a.mtime);
+  for (const { entry } of rotated.slice(settings.maxFiles)) fs.unlinkSync(path.join(folder, entry));
+}
+
+export function writeLogEntry({ message, type, timestamp, account, operation }) {
+  const { file } = settings;
+  if (!file || !shouldLog(type, settings.fileLevel)) return;
+  const line = JSON.stringify({ time: timestamp.toISOString(), level: levelOf(type), type, account, operation, message }) + "\n";
+  if (fs.existsSync(file)) {
+    const stats = fs.statSync(file);
+    const day = formatDay(stats.mtime);
+    if (day !== formatDay(timestamp) || stats.size + Buffer.byteLength(line) > settings.maxSizeMB * 1024 * 1024) {
+      rotateLogFile(file, day);
+    }
+  } else if (path.dirname(file) !== ".") {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+  fs.appendFileSync(file, line);
+}
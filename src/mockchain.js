@@ -0,0 +1,485 @@
+import http from "http";
+import { ethers } from "ethers";
+import { bridgeRouterInterface } from "./bridge.js";
+import { STAKING_DENOM, stakingInterface, distributionInterface } from "./staking.js";
+import { defaultValidators } from "./validators.js";
+
+export const MOCK_CHAIN_DEFAULTS = {
+  enabled: false,
+  port: 8545,
+  balanceHLS: 10,
+  tokenHLS: 10,
+  revertRate: 0,
+  dropRate: 0,
+  rpcErrorRate: 0
+};
+
+const BASE_FEE = ethers.parseUnits("1", "gwei");
+const PRIORITY_FEE = ethers.parseUnits("0.1", "gwei");
+const BLOCK_GAS_LIMIT = 30000000n;
+const CONTRACT_GAS = 30000n;
+const REWARD_RATE = 1000n;
+const ZERO_HASH = ethers.ZeroHash;
+
+const tokenInterface = new ethers.Interface([
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address,address) view returns (uint256)",
+  "function approve(address,uint256) returns (bool)",
+  "function transfer(address,uint256) returns (bool)"
+]);
+
+function revert(reason) {
+  const error = new Error(reason);
+  error.revert = reason;
+  throw error;
+}
+
+function rpcError(code, message, data) {
+  const error = new Error(message);
+  error.rpc = data === undefined ? { code, message } : { code, message, data };
+  throw error;
+}
+
+function pairKey(a, b) {
+  return `${a.toLowerCase()}:${b.toLowerCase()}`;
+}
+
+function decode(contractInterface, data) {
+  try {
+    return contractInterface.parseTransaction({ data });
+  } catch (error) {
+    return null;
+  }
+}
+
+function intrinsicGas(data, isContract) {
+  const bytes = ethers.getBytes(data || "0x");
+  const dataGas = bytes.reduce((sum, byte) => sum + (byte === 0 ? 4n : 16n), 0n);
+  return 21000n + dataGas + (isContract ? CONTRACT_GAS : 0n);
+}
+
+function effectiveGasPrice(tx) {
+  if (tx.maxFeePerGas === null) return tx.gasPrice;
+  const tip = tx.maxPriorityFeePerGas < tx.maxFeePerGas - BASE_FEE ? tx.maxPriorityFeePerGas : tx.maxFeePerGas - BASE_FEE;
+  return BASE_FEE + tip;
+}
+
+export function createMockChain(options = {}) {
+  const settings = { ...MOCK_CHAIN_DEFAULTS, ...options };
+  const addresses = {
+    token: settings.tokenAddress.toLowerCase(),
+    bridge: settings.bridgeAddress.toLowerCase(),
+    staking: settings.stakingAddress.toLowerCase(),
+    distribution: settings.distributionAddress.toLowerCase()
+  };
+  const validators = (settings.validators || defaultValidators).map(validator => validator.address.toLowerCase());
+  const log = settings.onLog || (() => {});
+  const accounts = new Map();
+  const tokenBalances = new Map();
+  const allowances = new Map();
+  const delegations = new Map();
+  const rewards = new Map();
+  const transactions = new Map();
+  const receipts = new Map();
+  const dropped = new Map();
+  const blocks = [{ number: 0, hash: ethers.id("mock-block-0"), parentHash: ZERO_HASH, timestamp: Math.floor(Date.now() / 1000), transactions: [], gasUsed: 0n }];
+
+  function account(address) {
+    const key = address.toLowerCase();
+    if (!accounts.has(key)) accounts.set(key, { balance: ethers.parseUnits(String(settings.balanceHLS), 18), nonce: 0 });
+    return accounts.get(key);
+  }
+
+  function tokenBalance(address) {
+    const key = address.toLowerCase();
+    if (!tokenBalances.has(key)) tokenBalances.set(key, ethers.parseUnits(String(settings.tokenHLS), 18));
+    return tokenBalances.get(key);
+  }
+
+  function latestBlock() {
+    return blocks[blocks.length - 1];
+  }
+
+  function mineBlock(hashes, gasUsed) {
+    const parent = latestBlock();
+    const number = parent.number + 1;
+    const block = {
+      number,
+      hash: ethers.id(`mock-block-${number}`),
+      parentHash: parent.hash,
+      timestamp: Math.max(parent.timestamp + 1, Math.floor(Date.now() / 1000)),
+      transactions: hashes,
+      gasUsed
+    };
+    blocks.push(block);
+    for (const [key, amount] of delegations) rewards.set(key, (rewards.get(key) || 0n) + amount / REWARD_RATE);
+    return block;
+  }
+
+  function callToken(call, from, commit) {
+    switch (call.name) {
+      case "balanceOf":
+        return tokenInterface.encodeFunctionResult("balanceOf", [tokenBalance(call.args[0])]);
+      case "allowance":
+        return tokenInterface.encodeFunctionResult("allowance", [allowances.get(pairKey(call.args[0], call.args[1])) || 0n]);
+      case "approve":
+        if (commit) allowances.set(pairKey(from, call.args[0]), call.args[1]);
+        return tokenInterface.encodeFunctionResult("approve", [true]);
+      case "transfer": {
+        const [to, amount] = call.args;
+        if (tokenBalance(from) < amount) revert("ERC20: transfer amount exceeds balance");
+        if (commit) {
+          tokenBalances.set(from.toLowerCase(), tokenBalance(from) - amount);
+          tokenBalances.set(to.toLowerCase(), tokenBalance(to) + amount);
+        }
+        return tokenInterface.encodeFunctionResult("transfer", [true]);
+      }
+      default:
+        return revert(`Unsupported token method ${call.name}`);
+    }
+  }
+
+  function callBridge(call, from, commit) {
+    if (call.name !== "sendToChain") revert(`Unsupported bridge method ${call.name}`);
+    const [, , asset, amount] = call.args;
+    if (asset.toLowerCase() !== addresses.token) revert("Unsupported bridge asset");
+    const allowanceKey = pairKey(from, addresses.bridge);
+    const allowance = allowances.get(allowanceKey) || 0n;
+    if (allowance < amount) revert("ERC20: insufficient allowance");
+    if (tokenBalance(from) < amount) revert("ERC20: transfer amount exceeds balance");
+    if (commit) {
+      allowances.set(allowanceKey, allowance - amount);
+      tokenBalances.set(from.toLowerCase(), tokenBalance(from) - amount);
+    }
+    return "0x";
+  }
+
+  function requireValidator(address) {
+    if (!validators.includes(address.toLowerCase())) revert(`validator ${address} does not exist`);
+  }
+
+  function callStaking(call, from, commit) {
+    if (call.name === "delegation") {
+      const amount = delegations.get(pairKey(call.args[0], call.args[1])) || 0n;
+      return stakingInterface.encodeFunctionResult("delegation", [amount, [STAKING_DENOM, amount]]);
+    }
+    if (call.name === "validators") {
+      const list = validators.map((address, index) => [
+        ethers.getAddress(address),
+        "",
+        false,
+        3,
+        ethers.parseUnits("1000", 18),
+        ethers.parseUnits("1000", 18),
+        JSON.stringify({ moniker: (settings.validators || defaultValidators)[index].name }),
+        0,
+        0,
+        ethers.parseUnits("0.05", 18),
+        1n
+      ]);
+      return stakingInterface.encodeFunctionResult("validators", [list, ["0x", list.length]]);
+    }
+    const [delegator] = call.args;
+    if (delegator.toLowerCase() !== from.toLowerCase()) revert("delegator address does not match the transaction sender");
+    const amount = call.name === "redelegate" ? call.args[3] : call.args[2];
+    const sourceKey = pairKey(delegator, call.args[1]);
+    switch (call.name) {
+      case "delegate":
+        requireValidator(call.args[1]);
+        if (account(from).balance < amount) revert("insufficient funds to delegate");
+        if (commit) {
+          account(from).balance -= amount;
+          delegations.set(sourceKey, (delegations.get(sourceKey) || 0n) + amount);
+        }
+        return stakingInterface.encodeFunctionResult("delegate", [true]);
+      case "undelegate":
+        if ((delegations.get(sourceKey) || 0n) < amount) revert("invalid shares amount");
+        if (commit) {
+          delegations.set(sourceKey, delegations.get(sourceKey) - amount);
+          account(from).balance += amount;
+        }
+        return stakingInterface.encodeFunctionResult("undelegate", [latestBlock().timestamp + 21 * 24 * 60 * 60]);
+      case "redelegate": {
+        requireValidator(call.args[2]);
+        const targetKey = pairKey(delegator, call.args[2]);
+        if (sourceKey === targetKey) revert("cannot redelegate to the same validator");
+        if ((delegations.get(sourceKey) || 0n) < amount) revert("invalid shares amount");
+        if (commit) {
+          delegations.set(sourceKey, delegations.get(sourceKey) - amount);
+          delegations.set(targetKey, (delegations.get(targetKey) || 0n) + amount);
+        }
+        return stakingInterface.encodeFunctionResult("redelegate", [latestBlock().timestamp + 21 * 24 * 60 * 60]);
+      }
+      default:
+        return revert(`Unsupported staking method ${call.name}`);
+    }
+  }
+
+  function decCoins(amount) {
+    return [[STAKING_DENOM, amount * 10n ** 18n, 18]];
+  }
+
+  function callDistribution(call, from, commit) {
+    switch (call.name) {
+      case "delegationRewards":
+        return distributionInterface.encodeFunctionResult("delegationRewards", [decCoins(rewards.get(pairKey(call.args[0], call.args[1])) || 0n)]);
+      case "delegationTotalRewards": {
+        const prefix = `${call.args[0].toLowerCase()}:`;
+        const entries = [...rewards].filter(([key]) => key.startsWith(prefix));
+        const total = entries.reduce((sum, [, amount]) => sum + amount, 0n);
+        return distributionInterface.encodeFunctionResult("delegationTotalRewards", [
+          entries.map(([key, amount]) => [ethers.getAddress(key.slice(prefix.length)), decCoins(amount)]),
+          decCoins(total)
+        ]);
+      }
+      case "withdrawDelegatorRewards": {
+        const key = pairKey(call.args[0], call.args[1]);
+        if (call.args[0].toLowerCase() !== from.toLowerCase()) revert("delegator address does not match the transaction sender");
+        const amount = rewards.get(key) || 0n;
+        if (!delegations.has(key)) revert("no delegation for (address, validator) tuple");
+        if (commit) {
+          rewards.set(key, 0n);
+          account(from).balance += amount;
+        }
+        return distributionInterface.encodeFunctionResult("withdrawDelegatorRewards", [[[STAKING_DENOM, amount]]]);
+      }
+      default:
+        return revert(`Unsupported distribution method ${call.name}`);
+    }
+  }
+
+  function execute({ from, to, data = "0x", value = 0n }, commit) {
+    const target = (to || "").toLowerCase();
+    const contracts = [
+      [addresses.token, tokenInterface, callToken],
+      [addresses.bridge, bridgeRouterInterface, callBridge],
+      [addresses.staking, stakingInterface, callStaking],
+      [addresses.distribution, distributionInterface, callDistribution]
+    ];
+    const contract = contracts.find(([address]) => address === target);
+    if (account(from).balance < value) revert("insufficient funds for transfer");
+    let result = "0x";
+    if (contract) {
+      const call = decode(contract[1], data);
+      if (!call) revert("function selector was not recognized");
+      result = contract[2](call, from, commit);
+    }
+    if (commit && value > 0n) {
+      account(from).balance -= value;
+      account(to).balance += value;
+    }
+    return { result, gasUsed: intrinsicGas(data, Boolean(contract)) };
+  }
+
+  function simulate(request) {
+    try {
+      return execute({
+        from: request.from || ethers.ZeroAddress,
+        to: request.to,
+        data: request.data || request.input || "0x",
+        value: request.value ? BigInt(request.value) : 0n
+      }, false);
+    } catch (error) {
+      if (!error.revert) throw error;
+      return rpcError(3, `execution reverted: ${error.revert}`, ethers.concat(["0x08c379a0", ethers.AbiCoder.defaultAbiCoder().encode(["string"], [error.revert])]));
+    }
+  }
+
+  function mineTransaction(tx) {
+    const sender = account(tx.from);
+    const gasPrice = effectiveGasPrice(tx);
+    let status = 1;
+    let gasUsed = tx.gasLimit;
+    try {
+      if (Math.random() < settings.revertRate) revert("mock revert");
+      const { gasUsed: required } = execute(tx, false);
+      if (required > tx.gasLimit) revert("out of gas");
+      gasUsed = execute(tx, true).gasUsed;
+    } catch (error) {
+      if (!error.revert) throw error;
+      status = 0;
+      log(`Reverted ${tx.hash}: ${error.revert}`);
+    }
+    sender.balance -= gasUsed * gasPrice;
+    sender.nonce++;
+    const block = mineBlock([tx.hash], gasUsed);
+    receipts.set(tx.hash, { blockNumber: block.number, blockHash: block.hash, gasUsed, gasPrice, status });
+  }
+
+  function sendRawTransaction(raw) {
+    const tx = ethers.Transaction.from(raw);
+    if (tx.chainId !== BigInt(settings.chainId)) rpcError(-32000, `invalid chain id ${tx.chainId}`);
+    const sender = account(tx.from);
+    if (tx.nonce < sender.nonce) rpcError(-32000, "nonce too low");
+    if (tx.nonce > sender.nonce) rpcError(-32000, `nonce too high, expected ${sender.nonce}`);
+    const gasPrice = tx.maxFeePerGas ?? tx.gasPrice;
+    const replaced = dropped.get(pairKey(tx.from, String(tx.nonce)));
+    if (replaced && gasPrice * 100n < (replaced.maxFeePerGas ?? replaced.gasPrice) * 110n) rpcError(-32000, "replacement transaction underpriced");
+    if (sender.balance < tx.gasLimit * gasPrice + tx.value) rpcError(-32000, "insufficient funds for gas * price + value");
+    if (replaced) {
+      transactions.delete(replaced.hash);
+      dropped.delete(pairKey(tx.from, String(tx.nonce)));
+    }
+    transactions.set(tx.hash, tx);
+    if (Math.random() < settings.dropRate) {
+      dropped.set(pairKey(tx.from, String(tx.nonce)), tx);
+      log(`Dropped ${tx.hash} (nonce ${tx.nonce})`);
+      return tx.hash;
+    }
+    mineTransaction(tx);
+    return tx.hash;
+  }
+
+  function formatTransaction(tx) {
+    const receipt = receipts.get(tx.hash);
+    return {
+      hash: tx.hash,
+      type: ethers.toQuantity(tx.type),
+      from: tx.from,
+      to: tx.to,
+      nonce: ethers.toQuantity(tx.nonce),
+      gas: ethers.toQuantity(tx.gasLimit),
+      value: ethers.toQuantity(tx.value),
+      input: tx.data,
+      chainId: ethers.toQuantity(tx.chainId),
+      gasPrice: ethers.toQuantity(receipt ? receipt.gasPrice : effectiveGasPrice(tx)),
+      maxFeePerGas: tx.maxFeePerGas === null ? undefined : ethers.toQuantity(tx.maxFeePerGas),
+      maxPriorityFeePerGas: tx.maxPriorityFeePerGas === null ? undefined : ethers.toQuantity(tx.maxPriorityFeePerGas),
+      accessList: tx.type === 2 ? [] : undefined,
+      r: tx.signature.r,
+      s: tx.signature.s,
+      v: ethers.toQuantity(tx.signature.v),
+      yParity: ethers.toQuantity(tx.signature.yParity),
+      blockHash: receipt ? receipt.blockHash : null,
+      blockNumber: receipt ? ethers.toQuantity(receipt.blockNumber) : null,
+      transactionIndex: receipt ? "0x0" : null
+    };
+  }
+
+  function formatReceipt(hash) {
+    const receipt = receipts.get(hash);
+    if (!receipt) return null;
+    const tx = transactions.get(hash);
+    return {
+      transactionHash: hash,
+      transactionIndex: "0x0",
+      blockHash: receipt.blockHash,
+      blockNumber: ethers.toQuantity(receipt.blockNumber),
+      from: tx.from,
+      to: tx.to,
+      contractAddress: null,
+      cumulativeGasUsed: ethers.toQuantity(receipt.gasUsed),
+      gasUsed: ethers.toQuantity(receipt.gasUsed),
+      effectiveGasPrice: ethers.toQuantity(receipt.gasPrice),
+      logs: [],
+      logsBloom: ethers.zeroPadValue("0x", 256),
+      status: ethers.toQuantity(receipt.status),
+      type: ethers.toQuantity(tx.type)
+    };
+  }
+
+  function findBlock(tag) {
+    if (tag === "latest" || tag === "pending" || tag === "safe" || tag === "finalized") return latestBlock();
+    if (tag === "earliest") return blocks[0];
+    return blocks[Number(tag)] || null;
+  }
+
+  function formatBlock(block, full) {
+    if (!block) return null;
+    return {
+      number: ethers.toQuantity(block.number),
+      hash: block.hash,
+      parentHash: block.parentHash,
+      timestamp: ethers.toQuantity(block.timestamp),
+      nonce: "0x0000000000000000",
+      difficulty: "0x0",
+      gasLimit: ethers.toQuantity(BLOCK_GAS_LIMIT),
+      gasUsed: ethers.toQuantity(block.gasUsed),
+      miner: ethers.ZeroAddress,
+      extraData: "0x",
+      baseFeePerGas: ethers.toQuantity(BASE_FEE),
+      stateRoot: ZERO_HASH,
+      receiptsRoot: ZERO_HASH,
+      transactionsRoot: ZERO_HASH,
+      transactions: full ? block.transactions.map(hash => formatTransaction(transactions.get(hash))) : block.transactions
+    };
+  }
+
+  function feeHistory(blockCount, newest, percentiles) {
+    const last = findBlock(newest) || latestBlock();
+    const count = Math.min(Number(blockCount), last.number + 1);
+    const oldest = last.number - count + 1;
+    return {
+      oldestBlock: ethers.toQuantity(oldest),
+      baseFeePerGas: Array.from({ length: count + 1 }, () => ethers.toQuantity(BASE_FEE)),
+      gasUsedRatio: blocks.slice(oldest, last.number + 1).map(block => Number(block.gasUsed) / Number(BLOCK_GAS_LIMIT)),
+      reward: Array.from({ length: count }, () => (percentiles || []).map(() => ethers.toQuantity(PRIORITY_FEE)))
+    };
+  }
+
+  const methods = {
+    eth_chainId: () => ethers.toQuantity(settings.chainId),
+    net_version: () => String(settings.chainId),
+    web3_clientVersion: () => "helios-mock/1.0",
+    eth_blockNumber: () => ethers.toQuantity(latestBlock().number),
+    eth_getBalance: ([address]) => ethers.toQuantity(account(address).balance),
+    eth_getTransactionCount: ([address]) => ethers.toQuantity(account(address).nonce),
+    eth_getCode: ([address]) => (Object.values(addresses).includes(address.toLowerCase()) ? "0x01" : "0x"),
+    eth_gasPrice: () => ethers.toQuantity(BASE_FEE + PRIORITY_FEE),
+    eth_maxPriorityFeePerGas: () => ethers.toQuantity(PRIORITY_FEE),
+    eth_feeHistory: ([blockCount, newest, percentiles]) => feeHistory(blockCount, newest, percentiles),
+    eth_getBlockByNumber: ([tag, full]) => formatBlock(findBlock(tag), full),
+    eth_getBlockByHash: ([hash, full]) => formatBlock(blocks.find(block => block.hash === hash), full),
+    eth_call: ([request]) => simulate(request).result,
+    eth_estimateGas: ([request]) => ethers.toQuantity(simulate(request).gasUsed),
+    eth_sendRawTransaction: ([raw]) => sendRawTransaction(raw),
+    eth_getTransactionByHash: ([hash]) => (transactions.has(hash) ? formatTransaction(transactions.get(hash)) : null),
+    eth_getTransactionReceipt: ([hash]) => formatReceipt(hash)
+  };
+
+  function handle({ id, method, params = [] }) {
+    try {
+      if (!methods[method]) rpcError(-32601, `the method ${method} does not exist/is not available`);
+      return { jsonrpc: "2.0", id, result: methods[method](params) };
+    } catch (error) {
+      return { jsonrpc: "2.0", id, error: error.rpc || { code: -32603, message: error.message } };
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => (body += chunk));
+    req.on("end", () => {
+      if (Math.random() < settings.rpcErrorRate) {
+        res.writeHead(503, { "Content-Type": "text/plain" });
+        res.end("mock RPC error");
+        return;
+      }
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ jsonrpc: "2.0", id: null, error: { code: -32700, message: "Parse error" } }));
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(Array.isArray(payload) ? payload.map(handle) : handle(payload)));
+    });
+  });
+
+  return {
+    server,
+    handle,
+    mineBlock: () => mineBlock([], 0n),
+    configure: (changes) => Object.assign(settings, changes),
+    listen: (port = settings.port) => new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, "127.0.0.1", () => {
+        server.off("error", reject);
+        resolve(`http://127.0.0.1:${server.address().port}/`);
+      });
+    }),
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  };
+}
@@ -0,0 +1,141 @@
+import axios from "axios";
+import { state, dailyActivityConfig, addLog, getAccountName, formatDateTime, getShortAddress } from "./core.js";
+import { redactSecrets } from "./logger.js";
+
+const RETRY_BACKOFF = 2000;
+const REQUEST_TIMEOUT = 10000;
+const MESSAGE_LIMITS = { telegram: 4000, discord: 1900 };
+
+const batches = new Map();
+const deliveries = new Set();
+const reportedLowBalances = new Set();
+const failedAccounts = new Set();
+let isDryRunCycle = false;
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function describeAccount(index, address) {
+  return address ? `${getAccountName(index)} (${getShortAddress(address)})` : getAccountName(index);
+}
+
+function buildText(items) {
+  const lines = items.map(item => items.length > 1 ? `• ${item.message}` : item.message);
+  return redactSecrets(["Helios Auto Bot", ...lines].join("\n"));
+}
+
+function buildPayload(webhook, items) {
+  const text = buildText(items);
+  const limit = MESSAGE_LIMITS[webhook.format];
+  const message = limit && text.length > limit ? `${text.slice(0, limit)}…` : text;
+  switch (webhook.format) {
+    case "telegram":
+      return { chat_id: webhook.chatId, text: message, disable_web_page_preview: true };
+    case "discord":
+      return { content: message };
+    default:
+      return {
+        source: "helios-auto-bot",
+        text: message,
+        events: JSON.parse(redactSecrets(JSON.stringify(items)))
+      };
+  }
+}
+
+async function postWebhook(webhook, payload) {
+  const { retries } = dailyActivityConfig.notifications;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await axios.post(webhook.url, payload, { timeout: REQUEST_TIMEOUT });
+      return;
+    } catch (error) {
+      const status = error.response ? error.response.status : null;
+      if (attempt >= retries || (status !== null && status < 500 && status !== 429)) throw error;
+      const retryAfter = error.response ? Number(error.response.headers["retry-after"]) : NaN;
+      await delay(retryAfter > 0 ? retryAfter * 1000 : RETRY_BACKOFF * 2 ** attempt);
+    }
+  }
+}
+
+function flushBatch(key) {
+  const batch = batches.get(key);
+  if (!batch) return;
+  batches.delete(key);
+  clearTimeout(batch.timer);
+  const delivery = postWebhook(batch.webhook, buildPayload(batch.webhook, batch.items))
+    .catch(error => addLog(`Webhook ${new URL(batch.webhook.url).host} failed: ${error.message}`, "error"))
+    .finally(() => deliveries.delete(delivery));
+  deliveries.add(delivery);
+}
+
+export async function flushNotifications() {
+  [...batches.keys()].forEach(flushBatch);
+  await Promise.all(deliveries);
+}
+
+function notify(event, message, data = {}) {
+  if (state.isDryRun) return;
+  const { webhooks, batchSeconds } = dailyActivityConfig.notifications;
+  const item = { event, time: new Date().toISOString(), message, data };
+  webhooks.filter(webhook => webhook.events.includes(event)).forEach((webhook) => {
+    const key = `${webhook.url}#${webhook.chatId || ""}`;
+    if (!batches.has(key)) {
+      const timer = setTimeout(() => flushBatch(key), batchSeconds * 1000);
+      timer.unref();
+      batches.set(key, { webhook, items: [], timer });
+    }
+    batches.get(key).items.push(item);
+    if (batchSeconds === 0) flushBatch(key);
+  });
+}
+
+export function attachNotifier(engine) {
+  engine.on("cycleStarted", () => {
+    isDryRunCycle = state.isDryRun;
+    reportedLowBalances.clear();
+    failedAccounts.clear();
+  });
+  engine.on("cycleFinished", ({ stopped, nextRunAt, error }) => {
+    if (isDryRunCycle) return;
+    const summary = error
+      ? `Daily activity failed: ${error}`
+      : `Daily activity ${stopped ? "stopped" : "finished"}: ${state.accountStatus.length} accounts, ${failedAccounts.size} with failures.`;
+    notify("cycleFinished", `${summary}${nextRunAt ? ` Next cycle at ${formatDateTime(nextRunAt)}.` : ""}`, {
+      stopped,
+      error,
+      accounts: state.accountStatus.length,
+      failedAccounts: failedAccounts.size,
+      nextRunAt: nextRunAt ? nextRunAt.toISOString() : null
+    });
+  });
+  engine.on("accountFailed", ({ index, address, operation, error }) => {
+    failedAccounts.add(index);
+    notify("accountFailed", `${describeAccount(index, address)} ${operation || "processing"} failed: ${error}`, { account: address, operation, error });
+  });
+  engine.on("lowBalance", ({ index, address, asset, balance }) => {
+    const key = `${address}:${asset}`;
+    if (reportedLowBalances.has(key)) return;
+    reportedLowBalances.add(key);
+    notify("lowBalance", `${describeAccount(index, address)} is low on ${asset}: ${balance}`, { account: address, asset, balance });
+  });
+  engine.on("rpcDown", ({ endpoints }) => {
+    notify("rpcDown", `All RPC endpoints are down: ${endpoints.map(endpoint => `${endpoint.url} (${endpoint.error})`).join(", ")}`, {
+      endpoints: endpoints.map(({ url, error }) => ({ url, error }))
+    });
+  });
+  engine.on("rpcRecovered", ({ endpoints }) => {
+    const healthy = endpoints.filter(endpoint => endpoint.healthy).map(endpoint => endpoint.url);
+    notify("rpcRecovered", `RPC available again: ${healthy.join(", ")}`, { endpoints: healthy });
+  });
+  const onTransactionResult = (event) => {
+    if (event.status !== 0) return;
+    notify("txReverted", `${event.operation} transaction ${event.hash} from ${getShortAddress(event.account)} reverted${event.error ? `: ${event.error}` : ""}`, {
+      account: event.account,
+      operation: event.operation,
+      hash: event.hash
+    });
+  };
+  engine.on("txConfirmed", onTransactionResult);
+  engine.on("txFailed", onTransactionResult);
+}
@@ -0,0 +1,51 @@
+import { HttpsProxyAgent } from "https-proxy-agent";
+import { SocksProxyAgent } from "socks-proxy-agent";
+
+export const PROXY_FILE = "proxy.txt";
+
+const schemePattern = /^(https?|socks[45]?h?):\/\//i;
+const credentialPattern = /\b([a-z][a-z0-9+.-]*:\/\/)[^\s/@]+@/gi;
+
+function buildProxyUrl(scheme, host, port, username, password) {
+  if (!host || !/^\d+$/.test(port || "") || Number(port) > 65535) throw new Error("expected host and numeric port");
+  const auth = username ? `${encodeURIComponent(username)}${password !== undefined ? `:${encodeURIComponent(password)}` : ""}@` : "";
+  return `${scheme}://${auth}${host}:${port}`;
+}
+
+export function parseProxy(line) {
+  const value = line.trim();
+  const schemeMatch = value.match(schemePattern);
+  const scheme = schemeMatch ? schemeMatch[1].toLowerCase() : "http";
+  const rest = schemeMatch ? value.slice(schemeMatch[0].length) : value;
+  const at = rest.lastIndexOf("@");
+  if (at !== -1 && /^[^:@]+:\d+\/?$/.test(rest.slice(at + 1))) {
+    const [username, ...password] = decodeURIComponent(rest.slice(0, at)).split(":");
+    const [host, port] = rest.slice(at + 1).replace(/\/$/, "").split(":");
+    return buildProxyUrl(scheme, host, port, username, password.length > 0 ? password.join(":") : undefined);
+  }
+  const parts = rest.replace(/\/$/, "").split(":");
+  if (parts.length === 2) return buildProxyUrl(scheme, parts[0], parts[1]);
+  if (parts.length >= 4) return buildProxyUrl(scheme, parts[0], parts[1], parts[2], parts.slice(3).join(":"));
+  throw new Error("expected host:port, host:port:user:pass or user:pass@host:port");
+}
+
+export function redactCredentials(text) {
+  return String(text).replace(credentialPattern, "$1***@");
+}
+
+export function createAgent(proxyUrl) {
+  if (!proxyUrl) return null;
+  if (proxyUrl.startsWith("socks")) return new SocksProxyAgent(proxyUrl);
+  return new HttpsProxyAgent(proxyUrl);
+}
+
+export function selectProxy(proxies, index, accountCount) {
+  if (proxies.length === 0) return null;
+  const assigned = proxies[index % proxies.length];
+  if (assigned.healthy) return assigned;
+  const healthy = proxies.filter(proxy => proxy.healthy);
+  if (healthy.length === 0) return null;
+  const spares = proxies.slice(accountCount).filter(proxy => proxy.healthy);
+  const pool = spares.length > 0 ? spares : healthy;
+  return pool[index % pool.length];
+}
@@ -0,0 +1,181 @@
+import { EventEmitter } from "events";
+import axios from "axios";
+
+export const rpcEvents = new EventEmitter();
+
+const endpoints = [];
+const rpcOptions = { chainId: null, retries: 3, backoff: 500, timeout: 15000, maxBlockLag: 10 };
+let activeUrl = null;
+let probeInterval = null;
+let requestId = 0;
+let isAvailable = true;
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export function configureRpc({ urls, ...options }) {
+  Object.assign(rpcOptions, options);
+  const previous = new Map(endpoints.map(endpoint => [endpoint.url, endpoint]));
+  endpoints.splice(0, endpoints.length, ...urls.map(url => previous.get(url) || {
+    url,
+    healthy: true,
+    latency: null,
+    blockNumber: null,
+    error: null,
+    checkedAt: null
+  }));
+  if (!urls.includes(activeUrl)) activeUrl = urls[0] || null;
+}
+
+export function getRpcEndpoints() {
+  return endpoints.map(endpoint => ({ ...endpoint, active: endpoint.url === activeUrl }));
+}
+
+export function getActiveRpcUrl() {
+  return activeUrl;
+}
+
+function rankedEndpoints() {
+  const byLatency = (a, b) => (a.latency ?? Infinity) - (b.latency ?? Infinity);
+  const healthy = endpoints.filter(endpoint => endpoint.healthy).sort(byLatency);
+  const unhealthy = endpoints.filter(endpoint => !endpoint.healthy).sort(byLatency);
+  const active = healthy.find(endpoint => endpoint.url === activeUrl);
+  return active ? [active, ...healthy.filter(endpoint => endpoint !== active), ...unhealthy] : [...healthy, ...unhealthy];
+}
+
+function setActive(url) {
+  if (url === activeUrl) return;
+  const previous = activeUrl;
+  activeUrl = url;
+  rpcEvents.emit("log", { message: `RPC endpoint switched from ${previous} to ${url}`, type: "info" });
+  rpcEvents.emit("endpointChanged", { url, previous });
+}
+
+function updateAvailability() {
+  const available = endpoints.some(endpoint => endpoint.healthy);
+  if (available === isAvailable) return;
+  isAvailable = available;
+  rpcEvents.emit(available ? "available" : "unavailable", { endpoints: getRpcEndpoints() });
+}
+
+function markFailure(endpoint, error) {
+  const wasHealthy = endpoint.healthy;
+  endpoint.healthy = false;
+  endpoint.error = error.message;
+  if (wasHealthy) rpcEvents.emit("log", { message: `RPC endpoint ${endpoint.url} failed: ${error.message}`, type: "error" });
+  updateAvailability();
+}
+
+export async function withFailover(task, { retries = rpcOptions.retries, markEndpoints = true } = {}) {
+  let lastError = new Error("No RPC endpoints configured");
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    for (const endpoint of rankedEndpoints()) {
+      try {
+        const result = await task(endpoint.url);
+        if (markEndpoints) {
+          if (!endpoint.healthy) endpoint.error = null;
+          endpoint.healthy = true;
+          setActive(endpoint.url);
+          updateAvailability();
+        }
+        return result;
+      } catch (error) {
+        if (error.retryable === false) throw error;
+        if (markEndpoints) markFailure(endpoint, error);
+        lastError = error;
+      }
+    }
+    if (attempt < retries) await delay(rpcOptions.backoff * 2 ** attempt);
+  }
+  throw lastError;
+}
+
+export async function postJsonRpc(url, method, params, agent = null) {
+  const response = await axios.post(url, { jsonrpc: "2.0", id: ++requestId, method, params }, {
+    headers: { "Content-Type": "application/json" },
+    httpAgent: agent || undefined,
+    httpsAgent: agent || undefined,
+    timeout: rpcOptions.timeout
+  });
+  const data = response.data;
+  if (data.error) {
+    const error = new Error(`RPC Error: ${data.error.message} (code: ${data.error.code})`);
+    error.retryable = false;
+    throw error;
+  }
+  if (!data.result && data.result !== "") throw new Error("No result in RPC response");
+  return data.result;
+}
+
+export function createFailoverFetch(agent = null, onProxyFailure = null) {
+  return async (request) => {
+    try {
+      return await withFailover(async (url) => {
+        const response = await axios.post(url, request.body ? Buffer.from(request.body) : undefined, {
+          headers: { "Content-Type": "application/json" },
+          httpAgent: agent || undefined,
+          httpsAgent: agent || undefined,
+          responseType: "arraybuffer",
+          timeout: rpcOptions.timeout,
+          validateStatus: () => true
+        });
+        if (response.status >= 500 || response.status === 429) throw new Error(`HTTP ${response.status} from ${url}`);
+        const headers = {};
+        for (const [name, value] of Object.entries(response.headers)) headers[name.toLowerCase()] = String(value);
+        return { statusCode: response.status, statusMessage: response.statusText || "", headers, body: new Uint8Array(response.data) };
+      }, { markEndpoints: !agent });
+    } catch (error) {
+      if (onProxyFailure && isAvailable) onProxyFailure(error);
+      throw error;
+    }
+  };
+}
+
+async function probeEndpoint(endpoint) {
+  const startedAt = Date.now();
+  try {
+    const [chainId, blockNumber] = await Promise.all([
+      postJsonRpc(endpoint.url, "eth_chainId", []),
+      postJsonRpc(endpoint.url, "eth_blockNumber", [])
+    ]);
+    endpoint.latency = Date.now() - startedAt;
+    endpoint.blockNumber = Number(blockNumber);
+    endpoint.error = rpcOptions.chainId !== null && Number(chainId) !== rpcOptions.chainId ? `Chain ID ${Number(chainId)} does not match ${rpcOptions.chainId}` : null;
+  } catch (error) {
+    endpoint.latency = null;
+    endpoint.error = error.message;
+  }
+  endpoint.checkedAt = new Date().toISOString();
+}
+
+export async function probeRpcEndpoints() {
+  await Promise.all(endpoints.map(probeEndpoint));
+  const bestBlock = Math.max(0, ...endpoints.filter(endpoint => !endpoint.error).map(endpoint => endpoint.blockNumber));
+  for (const endpoint of endpoints) {
+    if (!endpoint.error && bestBlock - endpoint.blockNumber > rpcOptions.maxBlockLag) {
+      endpoint.error = `Block ${endpoint.blockNumber} is ${bestBlock - endpoint.blockNumber} blocks behind`;
+    }
+    const healthy = endpoint.error === null;
+    if (healthy !== endpoint.healthy) {
+      rpcEvents.emit("log", { message: `RPC endpoint ${endpoint.url} is ${healthy ? "healthy again" : `unhealthy: ${endpoint.error}`}`, type: healthy ? "success" : "error" });
+    }
+    endpoint.healthy = healthy;
+  }
+  updateAvailability();
+  const [best] = rankedEndpoints();
+  if (best && best.healthy) setActive(best.url);
+  return getRpcEndpoints();
+}
+
+export function startRpcHealthChecks(intervalMs) {
+  stopRpcHealthChecks();
+  probeRpcEndpoints();
+  probeInterval = setInterval(probeRpcEndpoints, intervalMs);
+  probeInterval.unref();
+}
+
+export function stopRpcHealthChecks() {
+  if (probeInterval) clearInterval(probeInterval);
+  probeInterval = null;
+}
@@ -0,0 +1,147 @@
+import fs from "fs";
+
+export const SCHEDULE_FILE = "schedule.json";
+export const MISSED_RUN_POLICIES = ["catch-up", "skip"];
+export const DEFAULT_INTERVAL = 24 * 60 * 60 * 1000;
+
+const MAX_TIMEOUT = 2 ** 31 - 1;
+const MAX_SEARCH_DAYS = 366 * 5;
+const cronFields = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 }
+];
+const windowPattern = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/;
+
+function parseCronField(value, { name, min, max }) {
+  const values = new Set();
+  for (const part of value.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in cron ${name}: ${part}`);
+    let start = min;
+    let end = max;
+    if (range !== "*") {
+      const [from, to] = range.split("-").map(Number);
+      start = from;
+      end = to === undefined ? (stepText === undefined ? from : max) : to;
+    }
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+    for (let current = start; current <= end; current += step) values.add(current);
+  }
+  return values;
+}
+
+function parseCron(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error(`Cron expression needs 5 fields: ${expression}`);
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseCronField(field, cronFields[index]));
+  if (weekdays.has(7)) weekdays.add(0);
+  return {
+    type: "cron",
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === "*",
+    anyWeekday: fields[4] === "*"
+  };
+}
+
+function parseWindow(match) {
+  const [startHour, startMinute, endHour, endMinute] = match.slice(1).map(Number);
+  if (startHour > 23 || endHour > 23 || startMinute > 59 || endMinute > 59) throw new Error(`Invalid time window: ${match[0]}`);
+  const start = startHour * 60 + startMinute;
+  const end = endHour * 60 + endMinute;
+  if (end <= start) throw new Error(`Time window must end after it starts: ${match[0]}`);
+  return { type: "window", start, end };
+}
+
+export function parseSchedule(expression) {
+  if (expression === null || expression === undefined || String(expression).trim() === "") return null;
+  const text = String(expression).trim();
+  const match = text.match(windowPattern);
+  return match ? parseWindow(match) : parseCron(text);
+}
+
+function matchesDay(schedule, date) {
+  const dayMatches = schedule.days.has(date.getDate());
+  const weekdayMatches = schedule.weekdays.has(date.getDay());
+  if (!schedule.anyDay && !schedule.anyWeekday) return dayMatches || weekdayMatches;
+  return dayMatches && weekdayMatches;
+}
+
+function nextCronRun(schedule, from) {
+  const candidate = new Date(from);
+  candidate.setSeconds(0, 0);
+  candidate.setMinutes(candidate.getMinutes() + 1);
+  const limit = from.getTime() + MAX_SEARCH_DAYS * DEFAULT_INTERVAL;
+  while (candidate.getTime() <= limit) {
+    if (!schedule.months.has(candidate.getMonth() + 1) || !matchesDay(schedule, candidate)) {
+      candidate.setDate(candidate.getDate() + 1);
+      candidate.setHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(candidate.getHours())) {
+      candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(candidate.getMinutes())) {
+      candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+    } else {
+      return candidate;
+    }
+  }
+  throw new Error("Cron expression never matches a date");
+}
+
+function nextWindowRun(schedule, from) {
+  const day = new Date(from);
+  day.setHours(0, 0, 0, 0);
+  const minuteOfDay = from.getHours() * 60 + from.getMinutes();
+  if (minuteOfDay >= schedule.start) day.setDate(day.getDate() + 1);
+  const offset = schedule.start + Math.random() * (schedule.end - schedule.start);
+  return new Date(day.getTime() + offset * 60 * 1000);
+}
+
+export function computeNextRun(schedule, from, jitterSeconds = 0) {
+  let next;
+  if (!schedule) {
+    next = new Date(from.getTime() + DEFAULT_INTERVAL);
+  } else if (schedule.type === "window") {
+    next = nextWindowRun(schedule, from);
+  } else {
+    next = nextCronRun(schedule, from);
+  }
+  return new Date(next.getTime() + Math.floor(Math.random() * jitterSeconds * 1000));
+}
+
+export function readScheduleFile() {
+  if (!fs.existsSync(SCHEDULE_FILE)) return null;
+  const data = JSON.parse(fs.readFileSync(SCHEDULE_FILE, "utf8"));
+  const nextRunAt = new Date(data.nextRunAt);
+  return isNaN(nextRunAt.getTime()) ? null : { ...data, nextRunAt };
+}
+
+export function writeScheduleFile(nextRunAt) {
+  fs.writeFileSync(SCHEDULE_FILE, JSON.stringify({ nextRunAt: nextRunAt.toISOString(), savedAt: new Date().toISOString() }, null, 2));
+}
+
+export function clearScheduleFile() {
+  if (fs.existsSync(SCHEDULE_FILE)) fs.unlinkSync(SCHEDULE_FILE);
+}
+
+export function setLongTimeout(callback, runAt) {
+  const handle = { timer: null };
+  const arm = () => {
+    const delay = runAt.getTime() - Date.now();
+    handle.timer = delay > MAX_TIMEOUT ? setTimeout(arm, MAX_TIMEOUT) : setTimeout(callback, Math.max(0, delay));
+  };
+  arm();
+  return handle;
+}
+
+export function clearLongTimeout(handle) {
+  if (handle) clearTimeout(handle.timer);
+}
@@ -0,0 +1,64 @@
+import { ethers } from "ethers";
+import { checkSelectors } from "./bridge.js";
+
+export const STAKING_DENOM = "ahelios";
+
+const stakingAbi = [
+  "function delegate(address delegatorAddress, address validatorAddress, uint256 amount, string denom) returns (bool)",
+  "function undelegate(address delegatorAddress, address validatorAddress, uint256 amount, string denom) returns (int64 completionTime)",
+  "function redelegate(address delegatorAddress, address validatorSrcAddress, address validatorDstAddress, uint256 amount, string denom) returns (int64 completionTime)",
+  "function delegation(address delegatorAddress, address validatorAddress) view returns (uint256 shares, tuple(string denom, uint256 amount) balance)",
+  "function validators(string status, tuple(bytes key, uint64 offset, uint64 limit, bool countTotal, bool reverse) pageRequest) view returns (tuple(string operatorAddress, string consensusPubkey, bool jailed, uint8 status, uint256 tokens, uint256 delegatorShares, string description, int64 unbondingHeight, int64 unbondingTime, uint256 commission, uint256 minSelfDelegation)[] validators, tuple(bytes nextKey, uint64 total) pageResponse)"
+];
+const distributionAbi = [
+  "function withdrawDelegatorRewards(address delegatorAddress, address validatorAddress) returns (tuple(string denom, uint256 amount)[] amount)",
+  "function delegationRewards(address delegatorAddress, address validatorAddress) view returns (tuple(string denom, uint256 amount, uint8 precision)[] rewards)",
+  "function delegationTotalRewards(address delegatorAddress) view returns (tuple(string validatorAddress, tuple(string denom, uint256 amount, uint8 precision)[] reward)[] rewards, tuple(string denom, uint256 amount, uint8 precision)[] total)"
+];
+export const stakingInterface = new ethers.Interface(stakingAbi);
+export const distributionInterface = new ethers.Interface(distributionAbi);
+
+checkSelectors(stakingInterface, { delegate: "0xf5e56040", undelegate: "0xdac67ca8", redelegate: "0x8179b8ce" });
+checkSelectors(distributionInterface, { withdrawDelegatorRewards: "0x243aca08" });
+
+export function encodeDelegate(delegator, validator, amountWei) {
+  return stakingInterface.encodeFunctionData("delegate", [delegator, validator, amountWei, STAKING_DENOM]);
+}
+
+export function encodeUndelegate(delegator, validator, amountWei) {
+  return stakingInterface.encodeFunctionData("undelegate", [delegator, validator, amountWei, STAKING_DENOM]);
+}
+
+export function encodeRedelegate(delegator, sourceValidator, targetValidator, amountWei) {
+  return stakingInterface.encodeFunctionData("redelegate", [delegator, sourceValidator, targetValidator, amountWei, STAKING_DENOM]);
+}
+
+export function encodeWithdrawRewards(delegator, validator) {
+  return distributionInterface.encodeFunctionData("withdrawDelegatorRewards", [delegator, validator]);
+}
+
+export async function getDelegatedAmount(provider, stakingAddress, delegator, validator) {
+  const contract = new ethers.Contract(stakingAddress, stakingInterface, provider);
+  const [, balance] = await contract.delegation(delegator, validator);
+  return balance.amount;
+}
+
+function sumDecCoins(coins) {
+  return coins
+    .filter(coin => coin.denom === STAKING_DENOM)
+    .reduce((sum, coin) => sum + coin.amount / 10n ** BigInt(coin.precision), 0n);
+}
+
+export async function getPendingRewards(provider, distributionAddress, delegator, validator) {
+  const contract = new ethers.Contract(distributionAddress, distributionInterface, provider);
+  return sumDecCoins(await contract.delegationRewards(delegator, validator));
+}
+
+export async function getTotalRewards(provider, distributionAddress, delegator) {
+  const contract = new ethers.Contract(distributionAddress, distributionInterface, provider);
+  const [rewards, total] = await contract.delegationTotalRewards(delegator);
+  return {
+    total: sumDecCoins(total),
+    byValidator: rewards.map(entry => ({ validatorAddress: entry.validatorAddress, amount: sumDecCoins(entry.reward) }))
+  };
+}
@@ -0,0 +1,93 @@
+import { ethers } from "ethers";
+
+export const STUCK_TX_ACTIONS = ["speed-up", "cancel", "none"];
+
+const nextNonces = new Map();
+const nonceLocks = new Map();
+
+function withNonceLock(address, task) {
+  const previous = nonceLocks.get(address) || Promise.resolve();
+  const run = previous.then(task, task);
+  nonceLocks.set(address, run.catch(() => {}));
+  return run;
+}
+
+export function reserveNonce(provider, address) {
+  return withNonceLock(address, async () => {
+    const pendingNonce = await provider.getTransactionCount(address, "pending");
+    const nonce = Math.max(pendingNonce, nextNonces.get(address) ?? pendingNonce);
+    nextNonces.set(address, nonce + 1);
+    return nonce;
+  });
+}
+
+export function resyncNonce(address) {
+  nextNonces.delete(address);
+}
+
+function addPercent(value, percent) {
+  return value + (value * BigInt(Math.round(percent * 100))) / 10000n;
+}
+
+function bump(value, percent) {
+  return addPercent(value, percent) + 1n;
+}
+
+function maxOf(a, b) {
+  if (a === null || a === undefined) return b;
+  if (b === null || b === undefined) return a;
+  return a > b ? a : b;
+}
+
+export function bumpFees(sentTx, feeData, percent) {
+  if (sentTx.maxFeePerGas !== null && sentTx.maxFeePerGas !== undefined) {
+    const maxPriorityFeePerGas = maxOf(bump(sentTx.maxPriorityFeePerGas, percent), feeData.maxPriorityFeePerGas);
+    return {
+      maxFeePerGas: maxOf(maxOf(bump(sentTx.maxFeePerGas, percent), feeData.maxFeePerGas), maxPriorityFeePerGas),
+      maxPriorityFeePerGas
+    };
+  }
+  return { gasPrice: maxOf(bump(sentTx.gasPrice, percent), feeData.gasPrice) };
+}
+
+export function buildReplacement(sentTx, action, fees) {
+  const base = { nonce: sentTx.nonce, chainId: sentTx.chainId, type: sentTx.type, ...fees };
+  if (action === "cancel") return { ...base, to: sentTx.from, value: 0n, data: "0x", gasLimit: 21000n };
+  return { ...base, to: sentTx.to, value: sentTx.value, data: sentTx.data, gasLimit: sentTx.gasLimit };
+}
+
+export function applyGasBuffer(estimate, percent) {
+  return addPercent(estimate, percent);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+async function getFallbackFees(provider) {
+  const feeData = await provider.getFeeData();
+  if (feeData.maxFeePerGas !== null) return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+  return { gasPrice: feeData.gasPrice };
+}
+
+export async function suggestFees(provider, { blocks, percentile }) {
+  let history;
+  try {
+    history = await provider.send("eth_feeHistory", [ethers.toQuantity(blocks), "latest", [percentile]]);
+  } catch (error) {
+    return getFallbackFees(provider);
+  }
+  const baseFees = (history.baseFeePerGas || []).map(BigInt);
+  if (baseFees.length === 0) return getFallbackFees(provider);
+  const tips = (history.reward || []).map(rewards => BigInt(rewards[0])).filter(tip => tip > 0n);
+  const maxPriorityFeePerGas = tips.length > 0 ? median(tips) : (await provider.getFeeData()).maxPriorityFeePerGas ?? 0n;
+  return {
+    maxFeePerGas: baseFees[baseFees.length - 1] * 2n + maxPriorityFeePerGas,
+    maxPriorityFeePerGas
+  };
+}
+
+export function maxTransactionCost(gasLimit, fees) {
+  return gasLimit * (fees.maxFeePerGas ?? fees.gasPrice ?? 0n);
+}
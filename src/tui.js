@@ -0,0 +1,1124 @@
+import blessed from "blessed";
+import chalk from "chalk";
+import figlet from "figlet";
+import { ethers } from "ethers";
+import {
+  state,
+  dailyActivityConfig,
+  engine,
+  addLog,
+  formatTimestamp,
+  loadConfig,
+  setConfigValue,
+  watchConfig,
+  loadPrivateKeys,
+  loadProxies,
+  checkProxies,
+  updateWalletData,
+  runDailyActivity,
+  stopActivity,
+  cancelScheduledActivity,
+  resumeSchedule,
+  startRpcMonitoring,
+  resumeCycle,
+  getSavedCheckpoint,
+  discardCheckpoint,
+  runStakingAction,
+  refreshValidators,
+  getValidators,
+  getAccountName,
+  getAccountConfig,
+  getAccountProfile,
+  setAccountProfileValue,
+  clearAccountProfile,
+  getShortAddress,
+  isHLSAmount
+} from "./core.js";
+import { PASSWORD_ENV, requiresPassword } from "./keystore.js";
+import { readLedger, filterLedger, parseLedgerQuery, describeLedgerEntry } from "./ledger.js";
+import { describeCheckpoint } from "./checkpoint.js";
+import { startApi } from "./api.js";
+import { getActiveRpcUrl } from "./rpc.js";
+import { configSchema, profileSchema, formatConfigValue } from "./config.js";
+
+let transactionLogs = [];
+let loadingSpinner = ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"];
+const borderBlinkColors = ["cyan", "blue", "magenta", "red", "yellow", "green"];
+let borderBlinkIndex = 0;
+let blinkCounter = 0;
+let spinnerIndex = 0;
+let isHeaderRendered = false;
+
+const logColors = {
+  error: chalk.redBright,
+  success: chalk.greenBright,
+  wait: chalk.yellowBright,
+  info: chalk.whiteBright,
+  delay: chalk.cyanBright,
+  debug: chalk.blueBright
+};
+
+const logOperations = ["approve", "bridge", "stake", "undelegate", "redelegate", "claimRewards"];
+
+const logFilter = { errorsOnly: false, account: null, operation: null, search: "" };
+let isLogPlaceholderShown = false;
+
+function matchesAccount(entry, index) {
+  const row = walletRows.find(item => item.index === index);
+  return Boolean(entry.account && row && row.address) && entry.account === row.address;
+}
+
+function matchesLogFilter(entry) {
+  if (logFilter.errorsOnly && entry.type !== "error") return false;
+  if (logFilter.account !== null && !matchesAccount(entry, logFilter.account)) return false;
+  if (logFilter.operation && entry.operation !== logFilter.operation) return false;
+  if (logFilter.search && !entry.message.toLowerCase().includes(logFilter.search.toLowerCase())) return false;
+  return true;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function formatLogEntry(entry) {
+  const color = logColors[entry.type] || chalk.white;
+  const message = logFilter.search
+    ? entry.message.replace(new RegExp(escapeRegExp(logFilter.search), "gi"), match => chalk.black.bgYellowBright(match))
+    : entry.message;
+  return `[${entry.timestamp}] ${color(message)}`;
+}
+
+function showLog({ message, type, timestamp, account, operation }) {
+  const entry = { timestamp: formatTimestamp(timestamp), message, type, account, operation };
+  transactionLogs.push(entry);
+  if (!matchesLogFilter(entry)) {
+    updateLogLabel();
+  } else if (isLogPlaceholderShown) {
+    updateLogs();
+  } else {
+    logBox.add(formatLogEntry(entry));
+    updateLogLabel();
+    safeRender();
+  }
+}
+
+function clearTransactionLogs() {
+  transactionLogs = [];
+  logBox.setContent('');
+  logBox.scrollTo(0);
+  addLog("Transaction logs cleared.", "success");
+}
+
+const screen = blessed.screen({
+  smartCSR: true,
+  title: "HELIOS TESTNET AUTO BOT",
+  autoPadding: true,
+  fullUnicode: true,
+  mouse: true,
+  ignoreLocked: ["C-c", "q", "escape"]
+});
+
+const headerBox = blessed.box({
+  top: 0,
+  left: "center",
+  width: "100%",
+  height: 6,
+  tags: true,
+  style: { fg: "yellow", bg: "default" }
+});
+
+const statusBox = blessed.box({
+  left: 0,
+  top: 6,
+  width: "100%",
+  height: 3,
+  tags: true,
+  border: { type: "line", fg: "cyan" },
+  style: { fg: "white", bg: "default", border: { fg: "cyan" } },
+  content: "Status: Initializing...",
+  padding: { left: 1, right: 1, top: 0, bottom: 0 },
+  label: chalk.cyan(" Status ")
+});
+
+const walletBox = blessed.list({
+  label: " Wallet Information",
+  top: 9,
+  left: 0,
+  width: "40%",
+  height: "35%",
+  border: { type: "line", fg: "cyan" },
+  style: { border: { fg: "cyan" }, fg: "white", bg: "default", item: { fg: "white" } },
+  scrollable: true,
+  scrollbar: { bg: "cyan", fg: "black" },
+  padding: { left: 1, right: 1, top: 0, bottom: 0 },
+  tags: true,
+  keys: true,
+  vi: true,
+  mouse: true,
+  content: "Loading wallet data..."
+});
+
+const logBox = blessed.log({
+  label: " Transaction Logs",
+  top: 9,
+  left: "41%",
+  width: "60%",
+  height: "100%-9",
+  border: { type: "line" },
+  scrollable: true,
+  alwaysScroll: true,
+  mouse: true,
+  tags: true,
+  scrollbar: { ch: "│", style: { bg: "cyan", fg: "white" }, track: { bg: "gray" } },
+  scrollback: 1000,
+  smoothScroll: true,
+  style: { border: { fg: "magenta" }, bg: "default", fg: "white" },
+  padding: { left: 1, right: 1, top: 0, bottom: 0 },
+  wrap: true,
+  focusable: true,
+  keys: true
+});
+
+const menuBox = blessed.list({
+  label: " Menu ",
+  top: "44%",
+  left: 0,
+  width: "40%",
+  height: "56%",
+  keys: true,
+  vi: true,
+  mouse: true,
+  border: { type: "line" },
+  style: { fg: "white", bg: "default", border: { fg: "red" }, selected: { bg: "magenta", fg: "black" }, item: { fg: "white" } },
+  items: ["Start Auto Daily Activity", "Dry Run", "Set Manual Config", "Manual Staking Actions", "Account Profiles", "Validators", "Transaction History", "Clear Logs", "Refresh", "Exit"],
+  padding: { left: 1, top: 1 }
+});
+
+const dailyActivitySubMenu = blessed.list({
+  label: " Manual Config Options ",
+  top: "44%",
+  left: 0,
+  width: "40%",
+  height: "56%",
+  keys: true,
+  vi: true,
+  mouse: true,
+  border: { type: "line" },
+  style: { fg: "white", bg: "default", border: { fg: "blue" }, selected: { bg: "blue", fg: "black" }, item: { fg: "white" } },
+  items: [],
+  padding: { left: 1, top: 1 },
+  hidden: true
+});
+
+const stakingSubMenu = blessed.list({
+  label: " Manual Staking Actions ",
+  top: "44%",
+  left: 0,
+  width: "40%",
+  height: "56%",
+  keys: true,
+  vi: true,
+  mouse: true,
+  border: { type: "line" },
+  style: { fg: "white", bg: "default", border: { fg: "green" }, selected: { bg: "green", fg: "black" }, item: { fg: "white" } },
+  items: [
+    "Undelegate",
+    "Redelegate",
+    "Claim Rewards",
+    "Back to Main Menu"
+  ],
+  padding: { left: 1, top: 1 },
+  hidden: true
+});
+
+const choiceList = blessed.list({
+  top: "center",
+  left: "center",
+  width: "40%",
+  height: "50%",
+  keys: true,
+  vi: true,
+  mouse: true,
+  border: { type: "line" },
+  style: { fg: "white", bg: "default", border: { fg: "yellow" }, selected: { bg: "yellow", fg: "black" }, item: { fg: "white" } },
+  padding: { left: 1, top: 1 },
+  hidden: true
+});
+
+const valueInput = blessed.textbox({
+  top: "center",
+  left: "center",
+  width: "30%",
+  height: 3,
+  inputOnFocus: true,
+  border: { type: "line" },
+  style: { fg: "white", bg: "default", border: { fg: "yellow" }, focus: { border: { fg: "green" } } },
+  hidden: true
+});
+
+const passwordBox = blessed.textbox({
+  label: " Enter Vault Password ",
+  top: "center",
+  left: "center",
+  width: "40%",
+  height: 3,
+  censor: true,
+  inputOnFocus: true,
+  border: { type: "line" },
+  style: { fg: "white", bg: "default", border: { fg: "yellow" }, focus: { border: { fg: "green" } } },
+  hidden: true
+});
+
+const historyBox = blessed.list({
+  label: " Transaction History ",
+  top: "center",
+  left: "center",
+  width: "90%",
+  height: "80%",
+  keys: true,
+  vi: true,
+  mouse: true,
+  border: { type: "line" },
+  style: { fg: "white", bg: "default", border: { fg: "magenta" }, selected: { bg: "magenta", fg: "black" }, item: { fg: "white" } },
+  scrollbar: { bg: "cyan", fg: "black" },
+  padding: { left: 1, right: 1, top: 0, bottom: 0 },
+  hidden: true
+});
+
+const validatorBox = blessed.list({
+  label: " Validators ",
+  top: "center",
+  left: "center",
+  width: "90%",
+  height: "70%",
+  keys: true,
+  vi: true,
+  mouse: true,
+  border: { type: "line" },
+  style: { fg: "white", bg: "default", border: { fg: "green" }, selected: { bg: "green", fg: "black" }, item: { fg: "white" } },
+  scrollbar: { bg: "cyan", fg: "black" },
+  padding: { left: 1, right: 1, top: 0, bottom: 0 },
+  hidden: true
+});
+
+const walletDetailBox = blessed.box({
+  label: " Wallet Details ",
+  top: "center",
+  left: "center",
+  width: "70%",
+  height: "60%",
+  keys: true,
+  vi: true,
+  mouse: true,
+  scrollable: true,
+  alwaysScroll: true,
+  border: { type: "line" },
+  style: { fg: "white", bg: "default", border: { fg: "cyan" } },
+  scrollbar: { bg: "cyan", fg: "black" },
+  padding: { left: 1, right: 1, top: 0, bottom: 0 },
+  hidden: true
+});
+
+const logSearchBox = blessed.textbox({
+  label: " Search logs (enter: keep, esc: clear) ",
+  top: "center",
+  left: "center",
+  width: "50%",
+  height: 3,
+  inputOnFocus: true,
+  border: { type: "line" },
+  style: { fg: "white", bg: "default", border: { fg: "yellow" }, focus: { border: { fg: "green" } } },
+  hidden: true
+});
+
+const historyFilterBox = blessed.textbox({
+  label: " Filter: <address> operation:<op> status:<status> since:<date> limit:<n> ",
+  top: "center",
+  left: "center",
+  width: "70%",
+  height: 3,
+  inputOnFocus: true,
+  border: { type: "line" },
+  style: { fg: "white", bg: "default", border: { fg: "yellow" }, focus: { border: { fg: "green" } } },
+  hidden: true
+});
+
+screen.append(headerBox);
+screen.append(statusBox);
+screen.append(walletBox);
+screen.append(logBox);
+screen.append(menuBox);
+screen.append(dailyActivitySubMenu);
+screen.append(stakingSubMenu);
+screen.append(passwordBox);
+screen.append(historyBox);
+screen.append(historyFilterBox);
+screen.append(logSearchBox);
+screen.append(validatorBox);
+screen.append(walletDetailBox);
+screen.append(choiceList);
+screen.append(valueInput);
+
+const configKeys = Object.keys(configSchema);
+let historyQuery = "";
+let walletRows = [];
+
+let renderQueue = [];
+let isRendering = false;
+function safeRender() {
+  renderQueue.push(true);
+  if (isRendering) return;
+  isRendering = true;
+  setTimeout(() => {
+    try {
+      if (!isHeaderRendered) {
+        figlet.text("NT EXHAUST", { font: "ANSI Shadow" }, (err, data) => {
+          if (!err) headerBox.setContent(`{center}{bold}{cyan-fg}${data}{/cyan-fg}{/bold}{/center}`);
+          isHeaderRendered = true;
+        });
+      }
+      screen.render();
+    } catch (error) {
+      addLog(`UI render error: ${error.message}`, "error");
+    }
+    renderQueue.shift();
+    isRendering = false;
+    if (renderQueue.length > 0) safeRender();
+  }, 100);
+}
+
+function adjustLayout() {
+  const screenHeight = screen.height || 24;
+  const screenWidth = screen.width || 80;
+  headerBox.height = Math.max(6, Math.floor(screenHeight * 0.15));
+  statusBox.top = headerBox.height;
+  statusBox.height = Math.max(3, Math.floor(screenHeight * 0.07));
+  walletBox.top = headerBox.height + statusBox.height;
+  walletBox.width = Math.floor(screenWidth * 0.4);
+  walletBox.height = Math.floor(screenHeight * 0.35);
+  logBox.top = headerBox.height + statusBox.height;
+  logBox.left = Math.floor(screenWidth * 0.41);
+  logBox.width = Math.floor(screenWidth * 0.6);
+  logBox.height = screenHeight - (headerBox.height + statusBox.height);
+  menuBox.top = headerBox.height + statusBox.height + walletBox.height;
+  menuBox.width = Math.floor(screenWidth * 0.4);
+  menuBox.height = screenHeight - (headerBox.height + statusBox.height + walletBox.height);
+  dailyActivitySubMenu.top = menuBox.top;
+  dailyActivitySubMenu.width = menuBox.width;
+  dailyActivitySubMenu.height = menuBox.height;
+  dailyActivitySubMenu.left = menuBox.left;
+  stakingSubMenu.top = menuBox.top;
+  stakingSubMenu.width = menuBox.width;
+  stakingSubMenu.height = menuBox.height;
+  stakingSubMenu.left = menuBox.left;
+  safeRender();
+}
+
+function formatRpcHost(url) {
+  if (!url) return "N/A";
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return url;
+  }
+}
+
+function formatCountdown(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const clock = [Math.floor(totalSeconds / 3600) % 24, Math.floor(totalSeconds / 60) % 60, totalSeconds % 60]
+    .map(part => String(part).padStart(2, "0"))
+    .join(":");
+  return days > 0 ? `${days}d ${clock}` : clock;
+}
+
+function updateStatus() {
+  try {
+    const isProcessing = state.isActivityRunning || (state.isScheduled && state.dailyActivityInterval !== null);
+    const status = state.isActivityRunning
+      ? `${loadingSpinner[spinnerIndex]} ${chalk.yellowBright(state.isDryRun ? "Dry Run" : "Running")}`
+      : state.isScheduled && state.dailyActivityInterval !== null
+      ? `${loadingSpinner[spinnerIndex]} ${chalk.yellowBright("Waiting for next cycle")}${state.nextRunAt ? ` ${chalk.bold.cyanBright(formatCountdown(state.nextRunAt - Date.now()))}` : ""}`
+      : chalk.green("Idle");
+    const statusText = `Status: ${status} | Active Account: ${state.activeProcesses > 1 ? `${state.activeProcesses} running` : getShortAddress(state.walletInfo.address)} | RPC: ${formatRpcHost(getActiveRpcUrl())} | Total Accounts: ${state.privateKeys.length} | Auto Bridge: ${dailyActivityConfig.bridgeRepetitions}x | Auto Stake: ${dailyActivityConfig.stakeRepetitions}x | HELIOS AUTO BOT`;
+    statusBox.setContent(statusText);
+    if (isProcessing) {
+      if (blinkCounter % 1 === 0) {
+        statusBox.style.border.fg = borderBlinkColors[borderBlinkIndex];
+        borderBlinkIndex = (borderBlinkIndex + 1) % borderBlinkColors.length;
+      }
+      blinkCounter++;
+    } else {
+      statusBox.style.border.fg = "cyan";
+    }
+    spinnerIndex = (spinnerIndex + 1) % loadingSpinner.length;
+    safeRender();
+  } catch (error) {
+    addLog(`Status update error: ${error.message}`, "error");
+  }
+}
+
+const accountPhaseColors = {
+  queued: chalk.gray,
+  running: chalk.yellowBright,
+  done: chalk.greenBright,
+  failed: chalk.redBright,
+  stopped: chalk.magentaBright,
+  skipped: chalk.blueBright
+};
+
+function formatAccountStatus(index) {
+  const status = state.accountStatus[index];
+  if (!status) return "";
+  const color = accountPhaseColors[status.phase] || chalk.white;
+  return color(status.step && status.phase === "running" ? status.step : status.phase);
+}
+
+function renderWallets() {
+  const walletData = walletRows.map((entry) => !entry.error
+    ? `${entry.index === state.selectedWalletIndex ? "→ " : "  "}${entry.label ? `${chalk.bold.yellowBright(entry.label)} ` : ""}${chalk.bold.magentaBright(getShortAddress(entry.address))}   ${chalk.bold.cyanBright(entry.balanceHLS.padEnd(8))} ${chalk.bold.greenBright(entry.stakedHLS.padEnd(8))} ${chalk.bold.blueBright(entry.tokenHLS.padEnd(8))} ${formatAccountStatus(entry.index)}`
+    : `${entry.index === state.selectedWalletIndex ? "→ " : "  "}N/A 0.0000 ${formatAccountStatus(entry.index)}`);
+  const header = `${chalk.bold.cyan("    Address").padEnd(12)}         ${chalk.bold.cyan("HLS".padEnd(8))} ${chalk.bold.cyan("Staked".padEnd(8))} ${chalk.bold.cyan("Token".padEnd(8))} ${chalk.bold.cyan("Status")}`;
+  const separator = chalk.gray("-".repeat(40));
+  const selected = walletBox.selected;
+  walletBox.setItems([header, separator, ...walletData]);
+  walletBox.select(selected || 0);
+  safeRender();
+}
+
+async function updateWallets() {
+  try {
+    walletRows = await updateWalletData();
+    renderWallets();
+  } catch (error) {
+    addLog(`Failed to update wallet data: ${error.message}`, "error");
+  }
+}
+
+function updateLogLabel() {
+  const active = [
+    logFilter.errorsOnly ? "errors" : null,
+    logFilter.account !== null ? getAccountName(logFilter.account) : null,
+    logFilter.operation,
+    logFilter.search ? `"${logFilter.search}"` : null
+  ].filter(Boolean);
+  const matches = active.length > 0 ? transactionLogs.filter(matchesLogFilter).length : transactionLogs.length;
+  logBox.setLabel(active.length > 0
+    ? ` Transaction Logs | ${active.join(" + ")} (${matches}/${transactionLogs.length}) | x: clear filters `
+    : " Transaction Logs | e: errors  a: account  o: operation  /: search ");
+}
+
+function updateLogs() {
+  try {
+    const lines = transactionLogs.filter(matchesLogFilter).slice(-logBox.scrollback).map(formatLogEntry);
+    isLogPlaceholderShown = lines.length === 0;
+    logBox.setContent(lines.length > 0 ? lines.join("\n") : chalk.gray(transactionLogs.length > 0 ? "No logs match the active filters." : "No logs available."));
+    logBox.setScrollPerc(100);
+    updateLogLabel();
+    safeRender();
+  } catch (error) {
+    addLog(`Log update failed: ${error.message}`, "error");
+  }
+}
+
+function cycleValue(values, current) {
+  const index = values.indexOf(current);
+  return index === values.length - 1 ? null : values[index + 1];
+}
+
+const modalWidgets = [passwordBox, historyBox, historyFilterBox, logSearchBox, validatorBox, walletDetailBox, choiceList, valueInput];
+
+function logShortcut(handler) {
+  return () => {
+    if (modalWidgets.includes(screen.focused)) return;
+    handler();
+    updateLogs();
+  };
+}
+
+screen.key(["e"], logShortcut(() => {
+  logFilter.errorsOnly = !logFilter.errorsOnly;
+}));
+
+screen.key(["a"], logShortcut(() => {
+  logFilter.account = cycleValue(state.privateKeys.map((key, index) => index), logFilter.account);
+}));
+
+screen.key(["o"], logShortcut(() => {
+  logFilter.operation = cycleValue(logOperations, logFilter.operation);
+}));
+
+screen.key(["x"], logShortcut(() => {
+  Object.assign(logFilter, { errorsOnly: false, account: null, operation: null, search: "" });
+}));
+
+screen.key(["/"], () => {
+  if (modalWidgets.includes(screen.focused)) return;
+  logSearchBox.setValue(logFilter.search);
+  logSearchBox.show();
+  screen.focusPush(logSearchBox);
+  safeRender();
+});
+
+logSearchBox.on("keypress", () => {
+  setImmediate(() => {
+    if (!logSearchBox.visible) return;
+    logFilter.search = logSearchBox.getValue();
+    updateLogs();
+  });
+});
+
+logSearchBox.on("submit", (value) => {
+  logFilter.search = value;
+  logSearchBox.hide();
+  screen.focusPop();
+  updateLogs();
+});
+
+logSearchBox.on("cancel", () => {
+  logFilter.search = "";
+  logSearchBox.hide();
+  screen.focusPop();
+  updateLogs();
+});
+
+function updateMenu() {
+  try {
+    let menuItems = ["Set Manual Config", "Manual Staking Actions", "Account Profiles", "Validators", "Transaction History", "Clear Logs", "Refresh", "Exit"];
+    if (!state.isCycleRunning) menuItems.unshift("Dry Run");
+    if (state.isActivityRunning) menuItems.unshift("Stop Current Activity");
+    if (state.isScheduled && !state.isActivityRunning) menuItems.unshift("Cancel Scheduled Activity");
+    if (!state.isActivityRunning && !state.isScheduled) menuItems.unshift("Start Auto Daily Activity");
+    menuBox.setItems(menuItems);
+    safeRender();
+  } catch (error) {
+    addLog(`Menu update failed: ${error.message}`, "error");
+  }
+}
+
+const statusInterval = setInterval(updateStatus, 100);
+
+logBox.key(["up"], () => {
+  if (screen.focused === logBox) {
+    logBox.scroll(-1);
+    safeRender();
+  }
+});
+
+logBox.key(["down"], () => {
+  if (screen.focused === logBox) {
+    logBox.scroll(1);
+    safeRender();
+  }
+});
+
+logBox.on("click", () => {
+  screen.focusPush(logBox);
+  logBox.style.border.fg = "yellow";
+  menuBox.style.border.fg = "red";
+  dailyActivitySubMenu.style.border.fg = "blue";
+  safeRender();
+});
+
+logBox.on("blur", () => {
+  logBox.style.border.fg = "magenta";
+  safeRender();
+});
+
+menuBox.on("select", async (item) => {
+  const action = item.getText();
+  switch (action) {
+    case "Start Auto Daily Activity":
+      if (state.isCycleRunning) {
+        addLog("Cycle is still running. Stop or cancel the current cycle first.", "error");
+      } else {
+        await runDailyActivity();
+      }
+      break;
+    case "Dry Run":
+      if (state.isCycleRunning) {
+        addLog("Cycle is still running or scheduled. Stop or cancel it before a dry run.", "error");
+      } else {
+        await runDailyActivity({ dryRun: true });
+      }
+      break;
+    case "Stop Current Activity":
+      stopActivity();
+      break;
+    case "Cancel Scheduled Activity":
+      cancelScheduledActivity();
+      break;
+    case "Set Manual Config":
+      menuBox.hide();
+      renderConfigMenu();
+      dailyActivitySubMenu.show();
+      setTimeout(() => {
+        if (dailyActivitySubMenu.visible) {
+          screen.focusPush(dailyActivitySubMenu);
+          dailyActivitySubMenu.style.border.fg = "yellow";
+          logBox.style.border.fg = "magenta";
+          safeRender();
+        }
+      }, 100);
+      break;
+    case "Manual Staking Actions":
+      menuBox.hide();
+      stakingSubMenu.show();
+      setTimeout(() => {
+        if (stakingSubMenu.visible) {
+          screen.focusPush(stakingSubMenu);
+          stakingSubMenu.style.border.fg = "yellow";
+          logBox.style.border.fg = "magenta";
+          safeRender();
+        }
+      }, 100);
+      break;
+    case "Account Profiles":
+      editAccountProfiles();
+      break;
+    case "Validators":
+      showValidators();
+      break;
+    case "Transaction History":
+      showHistory();
+      break;
+    case "Clear Logs":
+      clearTransactionLogs();
+      break;
+    case "Refresh":
+      await updateWallets();
+      addLog("Data refreshed.", "success");
+      break;
+    case "Exit":
+      addLog("Exiting application", "info");
+      clearInterval(statusInterval);
+      process.exit(0);
+  }
+});
+
+dailyActivitySubMenu.on("select", (item, index) => {
+  const key = configKeys[index];
+  switch (key) {
+    case undefined:
+      dailyActivitySubMenu.hide();
+      menuBox.show();
+      setTimeout(() => {
+        if (menuBox.visible) {
+          screen.focusPush(menuBox);
+          menuBox.style.border.fg = "cyan";
+          dailyActivitySubMenu.style.border.fg = "blue";
+          logBox.style.border.fg = "magenta";
+          safeRender();
+        }
+      }, 100);
+      break;
+    default:
+      editConfigValue(key);
+  }
+});
+
+dailyActivitySubMenu.key(["escape"], () => {
+  dailyActivitySubMenu.hide();
+  menuBox.show();
+  setTimeout(() => {
+    if (menuBox.visible) {
+      screen.focusPush(menuBox);
+      menuBox.style.border.fg = "cyan";
+      dailyActivitySubMenu.style.border.fg = "blue";
+      logBox.style.border.fg = "magenta";
+      safeRender();
+    }
+  }, 100);
+});
+
+function promptChoice(label, items) {
+  return new Promise((resolve) => {
+    const finish = (index) => {
+      choiceList.removeListener("select", onSelect);
+      choiceList.removeListener("cancel", onCancel);
+      choiceList.hide();
+      safeRender();
+      resolve(index);
+    };
+    const onSelect = (item, index) => finish(index);
+    const onCancel = () => finish(null);
+    choiceList.setLabel(label);
+    choiceList.setItems(items);
+    choiceList.select(0);
+    choiceList.on("select", onSelect);
+    choiceList.once("cancel", onCancel);
+    choiceList.show();
+    screen.focusPush(choiceList);
+    safeRender();
+  });
+}
+
+function promptValue(label, initial = "") {
+  return new Promise((resolve) => {
+    valueInput.setLabel(label);
+    valueInput.setValue(initial);
+    valueInput.show();
+    screen.focusPush(valueInput);
+    safeRender();
+    valueInput.once("action", (value) => {
+      valueInput.hide();
+      safeRender();
+      resolve(value === null || value === undefined ? null : value.trim());
+    });
+  });
+}
+
+function renderConfigMenu() {
+  const selected = dailyActivitySubMenu.selected;
+  dailyActivitySubMenu.setItems([
+    ...configKeys.map(key => `${configSchema[key].label}: ${formatConfigValue(dailyActivityConfig[key])}`),
+    "Back to Main Menu"
+  ]);
+  dailyActivitySubMenu.select(selected);
+  safeRender();
+}
+
+async function editConfigValue(key) {
+  const field = configSchema[key];
+  try {
+    let input;
+    if (field.type === "boolean" || field.type === "enum") {
+      const values = field.type === "boolean" ? ["true", "false"] : field.values;
+      const index = await promptChoice(` ${field.label} `, values);
+      if (index === null) return;
+      input = values[index];
+    } else {
+      input = await promptValue(` ${field.label} `, formatConfigValue(dailyActivityConfig[key]));
+      if (input === null) return;
+    }
+    const value = setConfigValue(key, input);
+    addLog(`${field.label} set to ${formatConfigValue(value)}`, "success");
+  } catch (error) {
+    addLog(error.message, "error");
+  } finally {
+    renderConfigMenu();
+    screen.focusPush(dailyActivitySubMenu);
+    safeRender();
+  }
+}
+
+async function editAccountProfiles() {
+  try {
+    if (state.privateKeys.length === 0) throw new Error("No valid private keys found.");
+    const accountIndex = await promptChoice(" Select Account ", state.privateKeys.map((_, i) => `${getAccountName(i)}${getAccountProfile(i) ? " (profile)" : ""}`));
+    if (accountIndex === null) return;
+    const name = getAccountName(accountIndex);
+    const keys = Object.keys(profileSchema);
+    while (true) {
+      const saved = getAccountProfile(accountIndex);
+      const profile = saved ? saved.profile : {};
+      const config = getAccountConfig(accountIndex);
+      const items = [
+        ...keys.map(key => `${profileSchema[key].label}: ${formatConfigValue(config[key])}${key in profile ? "" : " (global)"}`),
+        "Clear Profile",
+        "Done"
+      ];
+      const choice = await promptChoice(` ${name} Profile `, items);
+      if (choice === null || choice === items.length - 1) return;
+      if (choice === keys.length) {
+        if (clearAccountProfile(accountIndex)) addLog(`${name}: Profile cleared, using global settings.`, "success");
+        continue;
+      }
+      const key = keys[choice];
+      const field = profileSchema[key];
+      let input;
+      if (field.type === "boolean" || field.type === "enum") {
+        const values = [...(field.type === "boolean" ? ["true", "false"] : field.values), "Use global setting"];
+        const index = await promptChoice(` ${field.label} `, values);
+        if (index === null) continue;
+        input = index === values.length - 1 ? "" : values[index];
+      } else {
+        input = await promptValue(` ${field.label} (empty = global) `, key in profile ? formatConfigValue(profile[key]) : "");
+        if (input === null) continue;
+      }
+      try {
+        const value = setAccountProfileValue(accountIndex, key, input);
+        addLog(`${name}: ${field.label} ${value === undefined ? "reset to global setting" : `set to ${formatConfigValue(value)}`}`, "success");
+      } catch (error) {
+        addLog(error.message, "error");
+      }
+    }
+  } catch (error) {
+    addLog(`Account profile update failed: ${error.message}`, "error");
+  } finally {
+    screen.focusPush(menuBox);
+    safeRender();
+  }
+}
+
+async function runManualStakingAction(action) {
+  try {
+    if (state.privateKeys.length === 0) throw new Error("No valid private keys found.");
+    const accountIndex = await promptChoice(" Select Account ", state.privateKeys.map((_, i) => getAccountName(i)));
+    if (accountIndex === null) return;
+    const validators = getValidators();
+    let validator = null;
+    let targetValidator = null;
+    let amount = null;
+    if (action === "claimRewards") {
+      const choice = await promptChoice(" Claim Rewards From ", ["All Validators", ...validators.map(v => v.name)]);
+      if (choice === null) return;
+      validator = choice === 0 ? null : validators[choice - 1];
+    } else {
+      const sourceIndex = await promptChoice(action === "redelegate" ? " Move From Validator " : " Undelegate From Validator ", validators.map(v => v.name));
+      if (sourceIndex === null) return;
+      validator = validators[sourceIndex];
+      if (action === "redelegate") {
+        const targets = validators.filter(v => v.address !== validator.address);
+        const targetIndex = await promptChoice(" Move To Validator ", targets.map(v => v.name));
+        if (targetIndex === null) return;
+        targetValidator = targets[targetIndex];
+      }
+      const input = await promptValue(" Enter HLS Amount ");
+      if (input === null) return;
+      amount = input.trim();
+      if (!isHLSAmount(amount)) throw new Error("Invalid amount. Please enter a positive decimal number such as 0.5.");
+    }
+    await runStakingAction({ action, accountIndex, validator, targetValidator, amount });
+  } catch (error) {
+    addLog(`Manual staking action failed: ${error.message}`, "error");
+  } finally {
+    screen.focusPush(stakingSubMenu);
+    safeRender();
+  }
+}
+
+stakingSubMenu.on("select", (item) => {
+  const action = item.getText();
+  switch (action) {
+    case "Undelegate":
+      runManualStakingAction("undelegate");
+      break;
+    case "Redelegate":
+      runManualStakingAction("redelegate");
+      break;
+    case "Claim Rewards":
+      runManualStakingAction("claimRewards");
+      break;
+    case "Back to Main Menu":
+      stakingSubMenu.hide();
+      menuBox.show();
+      setTimeout(() => {
+        if (menuBox.visible) {
+          screen.focusPush(menuBox);
+          menuBox.style.border.fg = "cyan";
+          stakingSubMenu.style.border.fg = "green";
+          logBox.style.border.fg = "magenta";
+          safeRender();
+        }
+      }, 100);
+      break;
+  }
+});
+
+function showWalletDetail(entry) {
+  const lines = [
+    `${chalk.bold("Account:")} ${getAccountName(entry.index)}`,
+    `${chalk.bold("Address:")} ${entry.address || "N/A"}`,
+    "",
+    `${chalk.bold("Native HLS:")}      ${chalk.cyanBright(entry.balanceHLS)}`,
+    `${chalk.bold("HLS Token:")}       ${chalk.blueBright(entry.tokenHLS)}`,
+    `${chalk.bold("Total Delegated:")} ${chalk.greenBright(entry.stakedHLS)}`,
+    `${chalk.bold("Pending Rewards:")} ${chalk.yellowBright(entry.rewardsHLS)}`,
+    "",
+    chalk.bold("Delegations:")
+  ];
+  if (entry.delegations.length === 0) {
+    lines.push(chalk.gray("  No delegations found."));
+  } else {
+    for (const delegation of entry.delegations) {
+      lines.push(`  ${delegation.name.padEnd(20)} ${getShortAddress(delegation.address)}  ${chalk.greenBright(`${delegation.amountHLS} HLS`)}  rewards ${chalk.yellowBright(delegation.rewardsHLS)}`);
+    }
+  }
+  if (entry.error) lines.push("", chalk.redBright(`Error: ${entry.error}`));
+  walletDetailBox.setLabel(` Wallet Details | esc: close `);
+  walletDetailBox.setContent(lines.join("\n"));
+  walletDetailBox.scrollTo(0);
+  walletDetailBox.show();
+  screen.focusPush(walletDetailBox);
+  safeRender();
+}
+
+walletBox.on("select", (item, index) => {
+  const entry = walletRows[index - 2];
+  if (entry) showWalletDetail(entry);
+});
+
+walletDetailBox.key(["escape"], () => {
+  walletDetailBox.hide();
+  screen.focusPush(walletBox);
+  safeRender();
+});
+
+function renderValidators() {
+  const eligible = getValidators();
+  const validators = state.discoveredValidators.length > 0 ? state.discoveredValidators : eligible;
+  validatorBox.setLabel(` Validators (${eligible.length} eligible of ${validators.length}, source: ${state.validatorSource}) | r: refresh  esc: close `);
+  validatorBox.setItems(validators.length > 0
+    ? validators.map((validator) => {
+      const details = [
+        validator.commission === undefined ? "" : `commission ${validator.commission.toFixed(2)}%`,
+        validator.tokens === undefined ? "" : `${Number(ethers.formatUnits(validator.tokens, 18)).toFixed(2)} HLS bonded`,
+        validator.jailed ? "jailed" : validator.active === false ? "inactive" : ""
+      ].filter(Boolean).join("  ");
+      const line = `${validator.name.padEnd(20)} ${validator.address}  ${details}`;
+      return eligible.includes(validator) ? chalk.greenBright(`✓ ${line}`) : chalk.gray(`✗ ${line}`);
+    })
+    : [chalk.gray("No validators known.")]);
+  safeRender();
+}
+
+function showValidators() {
+  renderValidators();
+  validatorBox.show();
+  screen.focusPush(validatorBox);
+  safeRender();
+}
+
+validatorBox.key(["r"], async () => {
+  await refreshValidators();
+  renderValidators();
+});
+
+validatorBox.key(["escape"], () => {
+  validatorBox.hide();
+  screen.focusPush(menuBox);
+  safeRender();
+});
+
+function showHistory() {
+  try {
+    const entries = filterLedger(readLedger(), parseLedgerQuery(historyQuery));
+    const statusColors = { confirmed: chalk.greenBright, pending: chalk.yellowBright };
+    historyBox.setLabel(` Transaction History (${entries.length}${historyQuery ? ` matching "${historyQuery}"` : ""}) | f: filter  r: reload  esc: close `);
+    historyBox.setItems(entries.length > 0
+      ? entries.map(entry => (statusColors[entry.status] || chalk.redBright)(describeLedgerEntry(entry)))
+      : [chalk.gray("No transactions recorded.")]);
+    historyBox.show();
+    historyBox.select(Math.max(0, entries.length - 1));
+    screen.focusPush(historyBox);
+    safeRender();
+  } catch (error) {
+    addLog(`Failed to read transaction history: ${error.message}`, "error");
+  }
+}
+
+historyBox.key(["f"], () => {
+  historyFilterBox.setValue(historyQuery);
+  historyFilterBox.show();
+  screen.focusPush(historyFilterBox);
+  safeRender();
+});
+
+historyBox.key(["r"], () => {
+  showHistory();
+});
+
+historyBox.key(["escape"], () => {
+  historyBox.hide();
+  screen.focusPush(menuBox);
+  safeRender();
+});
+
+historyFilterBox.on("submit", (value) => {
+  historyQuery = value.trim();
+  historyFilterBox.hide();
+  showHistory();
+});
+
+historyFilterBox.on("cancel", () => {
+  historyFilterBox.hide();
+  screen.focusPush(historyBox);
+  safeRender();
+});
+
+screen.key(["escape", "q", "C-c"], (ch, key) => {
+  if (key.full !== "C-c" && modalWidgets.includes(screen.focused)) return;
+  addLog("Exiting application", "info");
+  clearInterval(statusInterval);
+  process.exit(0);
+});
+
+engine.on("log", showLog);
+engine.on("balancesChanged", () => updateWallets());
+engine.on("accountStatus", () => renderWallets());
+engine.on("configChanged", () => {
+  if (dailyActivitySubMenu.visible) renderConfigMenu();
+});
+engine.on("stateChanged", () => {
+  updateMenu();
+  updateStatus();
+  safeRender();
+});
+
+function promptPassword() {
+  return new Promise((resolve) => {
+    passwordBox.setValue("");
+    passwordBox.show();
+    screen.focusPush(passwordBox);
+    safeRender();
+    passwordBox.once("submit", (value) => {
+      passwordBox.hide();
+      screen.focusPop();
+      safeRender();
+      resolve(value);
+    });
+  });
+}
+
+async function unlockPrivateKeys() {
+  if (process.env[PASSWORD_ENV] || !requiresPassword()) {
+    await loadPrivateKeys(process.env[PASSWORD_ENV]);
+    return;
+  }
+  for (let attempt = 0; attempt < 3 && state.privateKeys.length === 0; attempt++) {
+    await loadPrivateKeys(await promptPassword());
+  }
+}
+
+async function resumeOrSchedule() {
+  const checkpoint = getSavedCheckpoint();
+  if (checkpoint) {
+    const choice = await promptChoice(` Interrupted cycle: ${describeCheckpoint(checkpoint)} `, ["Resume interrupted cycle", "Discard it"]);
+    menuBox.focus();
+    if (choice === 0) {
+      await resumeCycle(checkpoint);
+      return;
+    }
+    if (choice === 1) discardCheckpoint();
+  }
+  await resumeSchedule();
+}
+
+async function initialize() {
+  try {
+    loadConfig();
+    startRpcMonitoring();
+    watchConfig();
+    startApi();
+    await unlockPrivateKeys();
+    loadProxies();
+    await checkProxies();
+    updateStatus();
+    await updateWallets();
+    await refreshValidators();
+    updateLogs();
+    safeRender();
+    menuBox.focus();
+    resumeOrSchedule();
+  } catch (error) {
+    addLog(`Initialization error: ${error.message}`, "error");
+  }
+}
+
+setTimeout(() => {
+  adjustLayout();
+  screen.on("resize", adjustLayout);
+}, 100);
+
+initialize();
@@ -0,0 +1,94 @@
+import { ethers } from "ethers";
+import { stakingInterface } from "./staking.js";
+
+export const defaultValidators = [
+  { name: "Helios-Unity", address: "0x7e62c5e7Eba41fC8c25e605749C476C0236e0604" },
+  { name: "Helios-Peer", address: "0x72a9B3509B19D9Dbc2E0Df71c4A6451e8a3DD705" },
+  { name: "Helios-Supra", address: "0xa75a393FF3D17eA7D9c9105d5459769EA3EAEf8D" }
+];
+
+const BOND_STATUS_BONDED = 3;
+const PAGE_LIMIT = 100n;
+const MAX_PAGES = 50;
+const bech32Charset = "qpzry9x8gf2tvdw0s3jn54khce6mua7l";
+
+function bech32ToAddress(value) {
+  const separator = value.lastIndexOf("1");
+  if (separator < 1) return null;
+  const words = [];
+  for (const char of value.slice(separator + 1, -6).toLowerCase()) {
+    const word = bech32Charset.indexOf(char);
+    if (word === -1) return null;
+    words.push(word);
+  }
+  let accumulator = 0;
+  let bits = 0;
+  const bytes = [];
+  for (const word of words) {
+    accumulator = (accumulator << 5) | word;
+    bits += 5;
+    while (bits >= 8) {
+      bits -= 8;
+      bytes.push((accumulator >> bits) & 0xff);
+    }
+  }
+  return bytes.length === 20 ? ethers.getAddress(ethers.hexlify(new Uint8Array(bytes))) : null;
+}
+
+export function toValidatorAddress(operatorAddress) {
+  if (ethers.isAddress(operatorAddress)) return ethers.getAddress(operatorAddress);
+  return bech32ToAddress(operatorAddress);
+}
+
+function parseMoniker(description) {
+  try {
+    const parsed = JSON.parse(description);
+    return parsed && parsed.moniker ? parsed.moniker : description;
+  } catch (error) {
+    return description;
+  }
+}
+
+export async function fetchValidators(provider, stakingAddress) {
+  const contract = new ethers.Contract(stakingAddress, stakingInterface, provider);
+  const validators = [];
+  let key = "0x";
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const [pageValidators, pageResponse] = await contract.validators("", { key, offset: 0n, limit: PAGE_LIMIT, countTotal: false, reverse: false });
+    for (const validator of pageValidators) {
+      const address = toValidatorAddress(validator.operatorAddress);
+      if (!address) continue;
+      validators.push({
+        name: parseMoniker(validator.description) || address,
+        address,
+        jailed: validator.jailed,
+        active: Number(validator.status) === BOND_STATUS_BONDED,
+        tokens: validator.tokens,
+        commission: Number(ethers.formatUnits(validator.commission, 18)) * 100
+      });
+    }
+    key = pageResponse.nextKey;
+    if (!key || key === "0x") break;
+  }
+  return validators;
+}
+
+function matchesValidator(validator, entries) {
+  return entries.some(entry => {
+    const needle = String(entry).toLowerCase();
+    return validator.address.toLowerCase() === needle || validator.name.toLowerCase() === needle;
+  });
+}
+
+export function applyValidatorRules(validators, config) {
+  return validators.filter((validator) => {
+    if (validator.jailed || validator.active === false) return false;
+    if (config.validatorAllowList.length > 0 && !matchesValidator(validator, config.validatorAllowList)) return false;
+    if (matchesValidator(validator, config.validatorDenyList)) return false;
+    if (validator.commission !== undefined) {
+      if (config.minValidatorCommission !== null && validator.commission < config.minValidatorCommission) return false;
+      if (config.maxValidatorCommission !== null && validator.commission > config.maxValidatorCommission) return false;
+    }
+    return true;
+  });
+}
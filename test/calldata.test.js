@@ -0,0 +1,82 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ethers } from "ethers";
+import { bridgeRouterInterface, encodeBridgeCalldata } from "../src/bridge.js";
+import {
+  STAKING_DENOM,
+  stakingInterface,
+  distributionInterface,
+  encodeDelegate,
+  encodeUndelegate,
+  encodeRedelegate,
+  encodeWithdrawRewards
+} from "../src/staking.js";
+
+const HLS_TOKEN_ADDRESS = "0xD4949664cD82660AaE99bEdc034a0deA8A0bd517";
+const DELEGATOR = "0xB8308De18452c398A5A6Fb444e4bceCFF1040bc3";
+const VALIDATOR = "0x7e62c5e7Eba41fC8c25e605749C476C0236e0604";
+const TARGET_VALIDATOR = "0x72a9B3509B19D9Dbc2E0Df71c4A6451e8a3DD705";
+const AMOUNT = ethers.parseUnits("0.025", 18);
+const FEE = ethers.parseUnits("0.5", 18);
+
+const word = (hex) => hex.replace(/^0x/, "").toLowerCase().padStart(64, "0");
+const denomWords = [word("7"), "6168656c696f73".padEnd(64, "0")];
+
+const vectors = {
+  sendToChain: [
+    "0x7ae4a8ff",
+    word("aa36a7"),
+    word("a0"),
+    word(HLS_TOKEN_ADDRESS),
+    word("58d15e17628000"),
+    word("6f05b59d3b20000"),
+    word("2a"),
+    "307862383330386465313834353263333938613561366662343434653462636563666631303430626333".padEnd(128, "0")
+  ].join(""),
+  delegate: ["0xf5e56040", word(DELEGATOR), word(VALIDATOR), word("58d15e17628000"), word("80"), ...denomWords].join(""),
+  undelegate: ["0xdac67ca8", word(DELEGATOR), word(VALIDATOR), word("58d15e17628000"), word("80"), ...denomWords].join(""),
+  redelegate: ["0x8179b8ce", word(DELEGATOR), word(VALIDATOR), word(TARGET_VALIDATOR), word("58d15e17628000"), word("a0"), ...denomWords].join(""),
+  withdrawDelegatorRewards: ["0x243aca08", word(DELEGATOR), word(VALIDATOR)].join("")
+};
+
+const amounts = [0n, 1n, AMOUNT, ethers.parseUnits("123456.789", 18), ethers.MaxUint256];
+const addresses = Array.from({ length: 4 }, (_, i) => ethers.getAddress(ethers.dataSlice(ethers.id(`account-${i}`), 12)));
+const chainIds = [1, 97, 11155111, 42000, 2 ** 53 - 1];
+
+test("sendToChain calldata matches the known encoding", () => {
+  const data = encodeBridgeCalldata({ chainId: 11155111, receiver: DELEGATOR, asset: HLS_TOKEN_ADDRESS, amountWei: AMOUNT, feeWei: FEE });
+  assert.equal(data, vectors.sendToChain);
+});
+
+test("staking calldata matches the known encodings", () => {
+  assert.equal(encodeDelegate(DELEGATOR, VALIDATOR, AMOUNT), vectors.delegate);
+  assert.equal(encodeUndelegate(DELEGATOR, VALIDATOR, AMOUNT), vectors.undelegate);
+  assert.equal(encodeRedelegate(DELEGATOR, VALIDATOR, TARGET_VALIDATOR, AMOUNT), vectors.redelegate);
+  assert.equal(encodeWithdrawRewards(DELEGATOR, VALIDATOR), vectors.withdrawDelegatorRewards);
+});
+
+test("sendToChain calldata decodes back to its inputs", () => {
+  for (const chainId of chainIds) {
+    for (const receiver of addresses) {
+      for (const amountWei of amounts) {
+        const data = encodeBridgeCalldata({ chainId, receiver, asset: HLS_TOKEN_ADDRESS, amountWei, feeWei: FEE });
+        assert.equal(data.slice(0, 10), "0x7ae4a8ff");
+        const decoded = bridgeRouterInterface.decodeFunctionData("sendToChain", data);
+        assert.deepEqual([...decoded], [BigInt(chainId), receiver.toLowerCase(), HLS_TOKEN_ADDRESS, amountWei, FEE]);
+      }
+    }
+  }
+});
+
+test("staking calldata decodes back to its inputs", () => {
+  for (const delegator of addresses) {
+    for (const validator of addresses) {
+      assert.deepEqual([...distributionInterface.decodeFunctionData("withdrawDelegatorRewards", encodeWithdrawRewards(delegator, validator))], [delegator, validator]);
+      for (const amountWei of amounts) {
+        assert.deepEqual([...stakingInterface.decodeFunctionData("delegate", encodeDelegate(delegator, validator, amountWei))], [delegator, validator, amountWei, STAKING_DENOM]);
+        assert.deepEqual([...stakingInterface.decodeFunctionData("undelegate", encodeUndelegate(delegator, validator, amountWei))], [delegator, validator, amountWei, STAKING_DENOM]);
+        assert.deepEqual([...stakingInterface.decodeFunctionData("redelegate", encodeRedelegate(delegator, validator, TARGET_VALIDATOR, amountWei))], [delegator, validator, TARGET_VALIDATOR, amountWei, STAKING_DENOM]);
+      }
+    }
+  }
+});
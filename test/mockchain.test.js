@@ -0,0 +1,251 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import net from "net";
+import os from "os";
+import path from "path";
+import { ethers } from "ethers";
+import { createMockChain } from "../src/mockchain.js";
+
+const PRIVATE_KEY = ethers.id("helios-mock-chain-test");
+const ADDRESS = ethers.computeAddress(PRIVATE_KEY);
+
+let directory;
+let config;
+let chain;
+let core;
+let ledger;
+let checkpoint;
+
+function sendRpc(method, params) {
+  const response = chain.handle({ id: 1, method, params });
+  if (response.error) throw new Error(response.error.message);
+  return response.result;
+}
+
+async function createConnectProxy() {
+  const sockets = new Set();
+  const server = http.createServer();
+  server.on("connect", (request, client, head) => {
+    const [host, port] = request.url.split(":");
+    const upstream = net.connect(Number(port), host, () => {
+      client.write("HTTP/1.1 200 Connection Established\r\n\r\n");
+      upstream.write(head);
+      upstream.pipe(client);
+      client.pipe(upstream);
+    });
+    for (const socket of [client, upstream]) {
+      sockets.add(socket);
+      socket.on("error", () => {});
+      socket.on("close", () => sockets.delete(socket));
+    }
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close() {
+      if (server.listening) server.close();
+      for (const socket of sockets) socket.destroy();
+    }
+  };
+}
+
+function writeConfig(changes) {
+  fs.writeFileSync("config.json", JSON.stringify({ ...config, ...changes }, null, 2));
+  core.loadConfig();
+}
+
+async function runCycle(changes) {
+  chain.configure({ revertRate: 0, dropRate: 0, rpcErrorRate: 0, ...changes.mockChain });
+  writeConfig(changes.config);
+  const known = new Set(ledger.readLedger().map(entry => entry.hash));
+  const failures = [];
+  const onFailed = event => failures.push(event);
+  core.engine.on("accountFailed", onFailed);
+  try {
+    await core.runDailyActivity({ reschedule: false, ...changes.options });
+  } finally {
+    core.engine.off("accountFailed", onFailed);
+  }
+  return { entries: ledger.readLedger().filter(entry => !known.has(entry.hash)), failures };
+}
+
+test.before(async () => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "helios-mock-chain-"));
+  process.chdir(directory);
+  const { HELIOS_CHAIN_ID, HLS_TOKEN_ADDRESS, HELIOS_ROUTER_ADDRESS, STAKE_ROUTER_ADDRESS, DISTRIBUTION_ADDRESS } = await import("../src/core.js");
+  chain = createMockChain({
+    chainId: HELIOS_CHAIN_ID,
+    tokenAddress: HLS_TOKEN_ADDRESS,
+    bridgeAddress: HELIOS_ROUTER_ADDRESS,
+    stakingAddress: STAKE_ROUTER_ADDRESS,
+    distributionAddress: DISTRIBUTION_ADDRESS
+  });
+  const rpcUrl = await chain.listen(0);
+  fs.writeFileSync("pk.txt", `${PRIVATE_KEY}\n`);
+  config = {
+    rpcUrls: [rpcUrl],
+    rpcRetries: 8,
+    rpcBackoff: 10,
+    rpcTimeout: 5000,
+    bridgeDelay: 1,
+    stakeDelay: 1,
+    accountDelay: 1,
+    txTimeout: 300,
+    maxTxReplacements: 1,
+    proxyCheck: false
+  };
+  core = await import("../src/core.js");
+  ledger = await import("../src/ledger.js");
+  checkpoint = await import("../src/checkpoint.js");
+  ledger.attachLedger(core.engine);
+  writeConfig({});
+  await core.loadPrivateKeys();
+});
+
+test.after(async () => {
+  await chain.close();
+  process.chdir(os.tmpdir());
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test("a cycle confirms every step through flaky RPC responses", async () => {
+  const { entries, failures } = await runCycle({ mockChain: { rpcErrorRate: 0.2 } });
+  assert.deepEqual(failures, []);
+  assert.deepEqual(entries.map(entry => [entry.operation, entry.status]), [["approve", "confirmed"], ["bridge", "confirmed"], ["stake", "confirmed"]]);
+  for (const entry of entries) {
+    assert.equal(entry.account, ADDRESS);
+    assert.equal(sendRpc("eth_getTransactionReceipt", [entry.hash]).status, "0x1");
+  }
+  assert.equal(fs.existsSync(checkpoint.CHECKPOINT_FILE), false);
+});
+
+test("log entries carry the account and operation they belong to", async () => {
+  const logs = [];
+  const onLog = entry => logs.push(entry);
+  core.engine.on("log", onLog);
+  try {
+    await runCycle({});
+  } finally {
+    core.engine.off("log", onLog);
+  }
+  const find = pattern => logs.find(entry => pattern.test(entry.message));
+  assert.deepEqual([find(/^Approving /), find(/^Bridge .* successfully/), find(/^Stake transaction sent/)].map(entry => [entry.account, entry.operation]),
+    [[ADDRESS, "approve"], [ADDRESS, "bridge"], [ADDRESS, "stake"]]);
+  assert.equal(find(/^Starting daily activity/).account, undefined);
+});
+
+test("reverted transactions are recorded with their failed receipts", async () => {
+  const { entries, failures } = await runCycle({ mockChain: { revertRate: 1 } });
+  assert.deepEqual(failures.map(failure => failure.operation), ["bridge", "stake"]);
+  for (const failure of failures) assert.match(failure.error, /^Transaction 0x\w+\.\.\.\w+ reverted$/);
+  assert.ok(entries.some(entry => entry.operation === "stake"));
+  for (const entry of entries) {
+    assert.equal(entry.status, "reverted");
+    assert.equal(sendRpc("eth_getTransactionReceipt", [entry.hash]).status, "0x0");
+  }
+  assert.equal(fs.existsSync(checkpoint.CHECKPOINT_FILE), false);
+});
+
+test("stopping before the first step keeps the account open in the checkpoint", async () => {
+  const onStarted = () => core.stopActivity();
+  core.engine.on("accountStarted", onStarted);
+  let result;
+  try {
+    result = await runCycle({});
+  } finally {
+    core.engine.off("accountStarted", onStarted);
+  }
+  assert.deepEqual(result.entries, []);
+  assert.deepEqual(result.failures, []);
+  const saved = checkpoint.readCheckpoint();
+  assert.deepEqual(saved.accounts[ADDRESS], { bridgeCount: 0, stakeCount: 0, done: false });
+  assert.deepEqual(saved.pendingTxs, []);
+});
+
+test("stopping after a confirmed bridge keeps its progress in the checkpoint", async () => {
+  const onConfirmed = (event) => {
+    if (event.operation === "bridge") core.stopActivity();
+  };
+  core.engine.on("txConfirmed", onConfirmed);
+  let result;
+  try {
+    result = await runCycle({ config: { bridgeRepetitions: 2 } });
+  } finally {
+    core.engine.off("txConfirmed", onConfirmed);
+  }
+  assert.deepEqual(result.failures, []);
+  assert.deepEqual(result.entries.filter(entry => entry.operation === "bridge").map(entry => entry.status), ["confirmed"]);
+  const saved = checkpoint.readCheckpoint();
+  assert.deepEqual(saved.accounts[ADDRESS], { bridgeCount: 1, stakeCount: 0, done: false });
+  assert.deepEqual(saved.pendingTxs, []);
+});
+
+test("a dry run simulates the cycle without broadcasting or checkpointing", async () => {
+  const nonce = sendRpc("eth_getTransactionCount", [ADDRESS]);
+  const saved = fs.readFileSync(checkpoint.CHECKPOINT_FILE, "utf8");
+  const { entries } = await runCycle({ options: { dryRun: true } });
+  assert.deepEqual(entries, []);
+  assert.deepEqual(core.getDryRunReport().map(entry => entry.operation), ["approve", "bridge", "stake"]);
+  assert.equal(sendRpc("eth_getTransactionCount", [ADDRESS]), nonce);
+  assert.equal(fs.readFileSync(checkpoint.CHECKPOINT_FILE, "utf8"), saved);
+});
+
+test("a second cycle is refused while one is running", async () => {
+  writeConfig({});
+  const known = new Set(ledger.readLedger().map(entry => entry.hash));
+  const report = core.getDryRunReport();
+  const cycle = core.runDailyActivity({ reschedule: false });
+  await core.runDailyActivity({ dryRun: true });
+  await cycle;
+  assert.equal(core.getDryRunReport(), report);
+  const entries = ledger.readLedger().filter(entry => !known.has(entry.hash));
+  assert.ok(entries.length > 0);
+  assert.ok(entries.every(entry => entry.status === "confirmed"));
+});
+
+test("resuming marks the cycle running before reconciling pending transactions", async () => {
+  writeConfig({});
+  const hash = ethers.id("dropped-before-restart");
+  const saved = { cycleId: "interrupted", startedAt: new Date().toISOString(), accounts: {}, pendingTxs: [{ hash, operation: "bridge", account: ADDRESS }] };
+  const cycle = core.resumeCycle(saved, { reschedule: false });
+  assert.equal(core.state.isActivityRunning, true);
+  await cycle;
+  const entries = ledger.readLedger().filter(entry => entry.hash === hash);
+  assert.deepEqual(entries.map(entry => entry.status), ["failed"]);
+  assert.equal(fs.existsSync(checkpoint.CHECKPOINT_FILE), false);
+});
+
+test("a proxy that fails during a cycle is replaced by a spare on the next step", async () => {
+  const failing = await createConnectProxy();
+  const spare = await createConnectProxy();
+  fs.writeFileSync("proxy.txt", `${failing.url}\n${spare.url}\n`);
+  core.loadProxies();
+  const onConfirmed = (event) => {
+    if (event.operation === "approve") failing.close();
+  };
+  core.engine.on("txConfirmed", onConfirmed);
+  let result;
+  try {
+    result = await runCycle({ config: { proxyCheck: true } });
+  } finally {
+    core.engine.off("txConfirmed", onConfirmed);
+    failing.close();
+    spare.close();
+    fs.rmSync("proxy.txt");
+    core.state.proxies = [];
+  }
+  assert.deepEqual(result.failures.map(failure => failure.operation), ["bridge"]);
+  assert.deepEqual(result.entries.map(entry => [entry.operation, entry.status]), [["approve", "confirmed"], ["stake", "confirmed"]]);
+});
+
+test("dropped transactions are replaced, then given up without a receipt", async () => {
+  const nonce = sendRpc("eth_getTransactionCount", [ADDRESS]);
+  const { entries, failures } = await runCycle({ mockChain: { dropRate: 1 } });
+  assert.deepEqual(failures.map(failure => failure.operation), ["bridge", "stake"]);
+  assert.ok(entries.some(entry => entry.status === "replaced"));
+  assert.ok(entries.some(entry => entry.status === "failed"));
+  for (const entry of entries) assert.equal(sendRpc("eth_getTransactionReceipt", [entry.hash]), null);
+  assert.equal(sendRpc("eth_getTransactionCount", [ADDRESS]), nonce);
+});
@@ -0,0 +1,33 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { suggestFees } from "../src/transactions.js";
+
+function createProvider({ history, feeData }) {
+  return {
+    async send(method) {
+      assert.equal(method, "eth_feeHistory");
+      if (history instanceof Error) throw history;
+      return history;
+    },
+    async getFeeData() {
+      return feeData;
+    }
+  };
+}
+
+const feeData = { gasPrice: 3n, maxFeePerGas: 20n, maxPriorityFeePerGas: 2n };
+
+test("fees come from the fee history when the RPC supports it", async () => {
+  const provider = createProvider({ history: { baseFeePerGas: ["0x5", "0x7"], reward: [["0x1"], ["0x3"], ["0x2"]] }, feeData });
+  assert.deepEqual(await suggestFees(provider, { blocks: 3, percentile: 50 }), { maxFeePerGas: 16n, maxPriorityFeePerGas: 2n });
+});
+
+test("fees fall back to the provider fee data when eth_feeHistory fails", async () => {
+  const provider = createProvider({ history: new Error("the method eth_feeHistory does not exist"), feeData });
+  assert.deepEqual(await suggestFees(provider, { blocks: 3, percentile: 50 }), { maxFeePerGas: 20n, maxPriorityFeePerGas: 2n });
+});
+
+test("legacy RPCs without base fees get a gas price", async () => {
+  const provider = createProvider({ history: new Error("unsupported"), feeData: { gasPrice: 3n, maxFeePerGas: null, maxPriorityFeePerGas: null } });
+  assert.deepEqual(await suggestFees(provider, { blocks: 3, percentile: 50 }), { gasPrice: 3n });
+});